@@ -6,27 +6,41 @@
 import { StateManager } from '../state/StateManager';
 import { DisplayManager } from '../state/DisplayManager';
 import { CacheManager } from '../state/CacheManager';
+import { LazyLoadManager } from '../state/LazyLoadManager';
+import { PreloadManager } from '../state/PreloadManager';
+import { HistoryManager } from '../state/HistoryManager';
+import { TransitionScheduler } from '../state/TransitionScheduler';
 import { VisualizationManager } from '../visualization/VisualizationManager';
 import { NodeManager } from '../visualization/NodeManager';
 import { PathManager } from '../visualization/PathManager';
 import { OuterElementManager } from '../visualization/OuterElementManager';
-//import { ZoomManager } from '../visualization/ZoomManager';
+import { ZoomManager } from '../visualization/ZoomManager';
+import { DrillDownManager } from '../visualization/DrillDownManager';
 import { SettingsPanel } from '../ui/SettingsPanel';
 import { Controls } from '../ui/Controls';
+import { ContentPanel } from '../ui/ContentPanel';
+import { SavedViews } from '../ui/SavedViews';
+import { StatusView } from '../ui/StatusView';
 import { validateConfig } from './config';
-//import { performance } from '../utils/performance';
+import { processHierarchicalData } from '../utils/calculations';
+import { getAdapter } from '../data/adapters';
+import { performance } from '../utils/performance';
+import { RequestClient } from '../utils/request';
+import { PluginManager } from './PluginManager';
 
 export class CircularNavManager {
     /**
      * Creates a new CircularNavManager instance
      * @param {string} containerId - DOM element ID
-     * @param {string} postType - WordPress post type
+     * @param {string} [postType] - WordPress post type, required by post-based data sources
      * @param {Object} config - Configuration object
      */
     constructor(containerId, postType, config = {}) {
         // Validate inputs
         if (!containerId) throw new Error('Container ID is required');
-        if (!postType) throw new Error('Post type is required');
+        if (!postType && getAdapter(config.dataSource?.type || 'admin-ajax').requiresPostType) {
+            throw new Error('Post type is required');
+        }
         
         this.container = document.getElementById(containerId);
         if (!this.container) throw new Error(`Container ${containerId} not found`);
@@ -36,12 +50,20 @@ export class CircularNavManager {
         this.postType = postType;
         this.config = validateConfig(config) ? config : {};
 
+        // Settles once init() has finished, see whenReady()
+        this.ready = null;
+
         // Initialize managers
         this.initializeManagers();
 
         // Bind methods
         this.handleResize = performance.debounce(this.handleResize.bind(this), 250);
         this.handleNodeClick = this.handleNodeClick.bind(this);
+        this.handleDrillUp = this.handleDrillUp.bind(this);
+        this.handleZoomChange = this.handleZoomChange.bind(this);
+        this.handleViewCenter = this.handleViewCenter.bind(this);
+        this.handleSelectionChange = this.handleSelectionChange.bind(this);
+        this.handleDataChange = this.handleDataChange.bind(this);
     }
 
     /**
@@ -49,10 +71,20 @@ export class CircularNavManager {
      * @private
      */
     initializeManagers() {
+        // Shared request layer, cancelled on destroy
+        this.requests = new RequestClient(this);
+
+        // Registered plugins, hooks run from here on
+        this.plugins = new PluginManager(this);
+
         // State managers
         this.state = new StateManager(this);
         this.display = new DisplayManager(this);
         this.cache = new CacheManager(this);
+        this.lazy = new LazyLoadManager(this);
+        this.preload = new PreloadManager(this);
+        this.history = new HistoryManager(this);
+        this.scheduler = new TransitionScheduler(this);
 
         // Visualization managers
         this.viz = new VisualizationManager(this);
@@ -60,20 +92,48 @@ export class CircularNavManager {
         this.paths = new PathManager(this);
         this.outer = new OuterElementManager(this);
         this.zoom = new ZoomManager(this);
+        this.drill = new DrillDownManager(this);
 
         // UI managers
         this.settings = new SettingsPanel(this);
         this.controls = new Controls(this);
+        this.content = new ContentPanel(this);
+        this.views = new SavedViews(this);
+        this.status = new StatusView(this);
+
+        // Plugin managers, after the built-ins they may depend on
+        this.plugins.installManagers();
     }
 
     /**
      * Initializes the visualization
+     * Safe to call repeatedly, initializes once
      * @returns {Promise<void>}
      */
-    async init() {
+    init() {
+        if (!this.ready) {
+            this.ready = this.setup();
+        }
+        return this.ready;
+    }
+
+    /**
+     * Runs initialization
+     * @private
+     */
+    async setup() {
         try {
+            // Plugins may adjust config before anything reads it
+            await this.plugins.call('beforeInit', { config: this.config });
+            this.status.showLoading();
+
             // Start initialization
             await this.state.initialize();
+            this.drill.init();
+            await this.plugins.call('dataLoaded', {
+                data: this.state.getRawData(),
+                hierarchy: this.state.getData()
+            });
 
             // Setup display and cache
             this.display.setup();
@@ -85,16 +145,69 @@ export class CircularNavManager {
             // Setup UI
             this.settings.create();
             this.controls.create();
+            this.content.create();
+            await this.plugins.initManagers();
+
+            // Restore position from the URL, or the embedded view
+            await this.history.init();
+            await this.views.init();
 
             // Setup event listeners
             this.setupEventListeners();
 
             // Set initialized state
             await this.state.updateState({ isInitialized: true });
+            this.updateEmptyState();
 
         } catch (error) {
             console.error('Initialization failed:', error);
-            this.handleError(error);
+
+            // Reporting must not throw, init() would reject with no one to handle it
+            try {
+                this.handleError(error);
+                this.status.showError(error);
+            } catch (reportError) {
+                console.error('Failed to report initialization error:', reportError);
+            }
+        }
+    }
+
+    /**
+     * Re-runs initialization after it failed
+     * @returns {Promise<void>}
+     */
+    async retry() {
+        if (!this.state.state.isError) return this.whenReady();
+
+        // Remove whatever the failed attempt rendered
+        this.removeEventListeners();
+        this.history.destroy();
+        this.viz.destroy();
+        this.settings.destroy();
+        this.controls.destroy();
+        this.content.destroy();
+
+        // Fresh plugin managers, so init() runs on each of them once
+        this.plugins.destroy();
+        this.plugins.installManagers();
+
+        await this.state.updateState({ error: null, isError: false });
+        this.ready = null;
+        return this.init();
+    }
+
+    /**
+     * Shows the empty message when the root has no children
+     * @private
+     */
+    updateEmptyState() {
+        const root = this.state.getRawData();
+        const isEmpty = !root?.children?.length && root?.childrenLoaded !== false;
+
+        if (isEmpty) {
+            this.status.showEmpty();
+        } else {
+            this.status.hide();
         }
     }
 
@@ -108,11 +221,13 @@ export class CircularNavManager {
 
         // Container events
         this.container.addEventListener('node:click', this.handleNodeClick);
+        this.container.addEventListener('node:drillup', this.handleDrillUp);
         this.container.addEventListener('zoom:change', this.handleZoomChange);
+        this.container.addEventListener('view:center', this.handleViewCenter);
 
         // State change handlers
-        this.state.on('selectionChange', this.handleSelectionChange.bind(this));
-        this.state.on('dataChange', this.handleDataChange.bind(this));
+        this.state.on('selectedNodeChange', this.handleSelectionChange);
+        this.state.on('dataChange', this.handleDataChange);
     }
 
     /**
@@ -122,25 +237,355 @@ export class CircularNavManager {
     removeEventListeners() {
         window.removeEventListener('resize', this.handleResize);
         this.container.removeEventListener('node:click', this.handleNodeClick);
+        this.container.removeEventListener('node:drillup', this.handleDrillUp);
         this.container.removeEventListener('zoom:change', this.handleZoomChange);
-        this.state.removeAllListeners();
+        this.container.removeEventListener('view:center', this.handleViewCenter);
+        this.state.off('selectedNodeChange', this.handleSelectionChange);
+        this.state.off('dataChange', this.handleDataChange);
+    }
+
+    /**
+     * Public API
+     * Lookups accept a node ID or slug. Methods that change the view resolve
+     * once their transitions have finished.
+     */
+
+    /**
+     * Resolves once the instance is initialized
+     * @returns {Promise<void>}
+     */
+    async whenReady() {
+        await this.init();
+    }
+
+    /**
+     * Selects a node, re-rooting the wheel if it sits below the rendered rings
+     * @param {string|number} idOrSlug - Node ID or slug
+     * @returns {Promise<Object|null>} Selected D3 hierarchy node, null if not found
+     */
+    async selectNode(idOrSlug) {
+        await this.whenReady();
+
+        return this.scheduler.schedule({
+            type: 'select',
+            run: async () => {
+                const node = await this.drill.reveal(idOrSlug);
+                if (!node) return null;
+
+                if (node !== this.state.getSelectedNode()) {
+                    await this.state.updateState({ selectedNode: node });
+                }
+                return node;
+            }
+        });
+    }
+
+    /**
+     * Clears the current selection
+     * @returns {Promise<void>}
+     */
+    async clearSelection() {
+        await this.whenReady();
+
+        await this.scheduler.schedule({
+            type: 'clear',
+            run: async () => {
+                if (this.state.getSelectedNode()) {
+                    await this.state.updateState({ selectedNode: null });
+                }
+            }
+        });
+    }
+
+    /**
+     * Gets a node, preferring the one rendered on the wheel
+     * @param {string|number} idOrSlug - Node ID or slug
+     * @returns {Object|null} D3 hierarchy node, from the full tree when not on the wheel
+     */
+    getNode(idOrSlug) {
+        return this.drill.findOnWheel(idOrSlug) || this.drill.findNode(idOrSlug);
+    }
+
+    /**
+     * Gets the ancestry of a node from the top-level root
+     * @param {string|number} idOrSlug - Node ID or slug
+     * @returns {Array<Object>} Node data from the root to the node, empty if not found
+     */
+    getPath(idOrSlug) {
+        const node = this.drill.findNode(idOrSlug);
+        return node ? node.ancestors().reverse().map(n => n.data) : [];
+    }
+
+    /**
+     * Zooms and centres on a node without selecting it
+     * @param {string|number} idOrSlug - Node ID or slug
+     * @param {number} [scale] - Zoom level, defaults to config.zoom.focusScale
+     * @returns {Promise<Object|null>} Focused D3 hierarchy node, null if not found
+     */
+    async focusNode(idOrSlug, scale = null) {
+        await this.whenReady();
+
+        return this.scheduler.schedule({
+            type: 'focus',
+            run: async () => {
+                const node = await this.drill.reveal(idOrSlug);
+                if (!node) return null;
+
+                await this.zoom.zoomToNode(node, scale);
+                return node;
+            }
+        });
+    }
+
+    /**
+     * Zooms to a level around the centre
+     * @param {number} level - Zoom level, clamped to config.zoom
+     * @returns {Promise<number>} Applied zoom level
+     */
+    async zoomTo(level) {
+        await this.whenReady();
+
+        await this.scheduler.schedule({
+            type: 'zoom',
+            run: () => this.zoom.scaleTo(level)
+        });
+        return this.zoom.getZoomLevel();
+    }
+
+    /**
+     * Replaces the hierarchy and re-renders from the top-level root
+     * The selection is kept when the new data contains the same node
+     * @param {Object|Array} tree - Tree, flat parent-id list or list of top-level items
+     * @returns {Promise<void>}
+     */
+    async setData(tree) {
+        await this.whenReady();
+
+        await this.scheduler.schedule({
+            type: 'data',
+            run: async () => {
+                await this.state.setData(tree);
+                this.drill.init();
+                await this.plugins.call('dataLoaded', {
+                    data: this.state.getRawData(),
+                    hierarchy: this.state.getData()
+                });
+                await this.render();
+            }
+        });
+    }
+
+    /**
+     * Re-lays out the current root after a layout setting changed
+     * Positions are computed with the data, so they cannot be transitioned
+     * Not gated on whenReady(), saved views apply layout overrides during init
+     * @returns {Promise<void>}
+     */
+    async relayout() {
+        const root = this.drill.getCurrentRoot();
+        if (!root) return;
+
+        await this.state.updateState({
+            data: processHierarchicalData(root, this.config)
+        });
+        await this.render();
+    }
+
+    /**
+     * Re-renders from the state data and re-applies the selection
+     * The selection is looked up again on the rebuilt wheel, and cleared when it is gone
+     * @private
+     */
+    async render() {
+        await this.viz.rebuild();
+        this.updateEmptyState();
+
+        const selected = this.state.getSelectedNode();
+        if (!selected) return;
+
+        const node = this.drill.findOnWheel(selected.data.id);
+        if (node !== selected) {
+            await this.state.updateState({ selectedNode: node });
+        } else {
+            await this.viz.updateSelection(node, null);
+        }
+    }
+
+    /**
+     * Captures the current view as plain JSON
+     * @returns {Object} Snapshot for restoreSnapshot() or data-view
+     */
+    getSnapshot() {
+        return this.state.getSnapshot();
+    }
+
+    /**
+     * Restores a view captured with getSnapshot()
+     * @param {Object} snapshot - Snapshot object
+     * @returns {Promise<void>}
+     */
+    async restoreSnapshot(snapshot) {
+        await this.whenReady();
+
+        await this.scheduler.schedule({
+            type: 'restore',
+            run: () => this.state.restoreSnapshot(snapshot)
+        });
+    }
+
+    /**
+     * Drops queued actions and cuts running transitions short
+     * Each dropped action emits action:dropped with reason 'cancelled'
+     */
+    cancelTransitions() {
+        this.scheduler.cancel();
+    }
+
+    /**
+     * Listens to an instance event (node:click, selection:change, drill:change, ...)
+     * @param {string} event - Event name
+     * @param {Function} callback - Receives the CustomEvent
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+        this.container.addEventListener(event, callback);
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Stops listening to an instance event
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback passed to on()
+     */
+    off(event, callback) {
+        this.container.removeEventListener(event, callback);
     }
 
     /**
      * Handles node click events
+     * Clicks during transitions are queued by the scheduler
      * @param {Event} event - Custom event with node data
      * @private
      */
     handleNodeClick(event) {
         const node = event.detail.node;
-        if (!node || this.state.isTransitioning) return;
+        if (!node) return;
 
-        this.state.updateState({ 
+        this.scheduler.schedule({
+            type: 'click',
+            node,
+            run: current => this.activateNode(current)
+        });
+    }
+
+    /**
+     * Activates a clicked node
+     * Navigates links, drills into nodes with hidden levels and selects the rest
+     * @param {Object} node - D3 hierarchy node
+     * @returns {Promise<void>}
+     * @private
+     */
+    async activateNode(node) {
+        // Unknown children decide whether the node drills down
+        if (this.lazy.needsChildren(node)) {
+            node = await this.lazy.requestChildren(node);
+        }
+
+        // Custom links navigate instead of selecting
+        if (node.data.type === 'link') {
+            this.navigateToNode(node);
+            return;
+        }
+
+        // Nodes with hidden levels re-root the wheel instead of selecting
+        if (this.drill.canDrillInto(node)) {
+            await this.drill.drillDown(node);
+            return;
+        }
+
+        await this.state.updateState({ 
             selectedNode: node,
             isTransitioning: true 
         });
     }
 
+    /**
+     * Notifies the container of selection changes
+     * @param {Object} change - { oldValue, newValue }
+     * @private
+     */
+    handleSelectionChange({ oldValue, newValue }) {
+        this.container.dispatchEvent(new CustomEvent('selection:change', {
+            detail: { node: newValue, previousNode: oldValue },
+            bubbles: true
+        }));
+        this.plugins.call('selectionChanged', { node: newValue, previousNode: oldValue });
+    }
+
+    /**
+     * Notifies the container when the hierarchy is replaced
+     * @param {Object} change - { oldValue, newValue }
+     * @private
+     */
+    handleDataChange({ newValue }) {
+        this.container.dispatchEvent(new CustomEvent('data:change', {
+            detail: { data: newValue },
+            bubbles: true
+        }));
+    }
+
+    /**
+     * Navigates to a link node's URL
+     * Dispatches a cancelable node:navigate event first
+     * @param {Object} node - D3 hierarchy node
+     * @private
+     */
+    navigateToNode(node) {
+        const { url, target } = node.data;
+        if (!url) return;
+
+        const navigateEvent = new CustomEvent('node:navigate', {
+            detail: { node, url },
+            bubbles: true,
+            cancelable: true
+        });
+        if (!this.container.dispatchEvent(navigateEvent)) return;
+
+        if (target === '_blank') {
+            window.open(url, '_blank', 'noopener');
+        } else {
+            window.location.assign(url);
+        }
+    }
+
+    /**
+     * Handles "go up" requests from the central node
+     * @private
+     */
+    handleDrillUp() {
+        this.scheduler.schedule({
+            type: 'drill-up',
+            run: () => this.drill.drillUp()
+        });
+    }
+
+    /**
+     * Handles zoom requests from controls
+     * @param {Event} event - Custom event with zoom level
+     * @private
+     */
+    handleZoomChange(event) {
+        this.zoom.scaleTo(event.detail.zoom);
+    }
+
+    /**
+     * Handles center view requests from controls
+     * @private
+     */
+    handleViewCenter() {
+        this.zoom.zoomToFit();
+    }
+
     /**
      * Handles resize events
      * @private
@@ -155,18 +600,47 @@ export class CircularNavManager {
     /**
      * Handles errors
      * @param {Error} error - Error object
+     * @param {Object} [options] - Error options
+     * @param {boolean} [options.fatal] - Whether the instance enters the error state
      * @private
      */
-    handleError(error) {
+    handleError(error, { fatal = true } = {}) {
         console.error('CircularNav Error:', error);
-        this.state.updateState({ 
-            error: error,
-            isError: true 
+        if (fatal) {
+            this.state.updateState({ 
+                error: error,
+                isError: true 
+            });
+        }
+
+        // Notify container, request errors carry their type and status
+        const errorEvent = new CustomEvent('circular-nav:error', {
+            detail: {
+                error,
+                type: error.type || 'unknown',
+                status: error.status ?? null,
+                fatal
+            }
         });
+        this.container.dispatchEvent(errorEvent);
+    }
+
+    /**
+     * Handles non-fatal data warnings
+     * @param {Array} warnings - Warning entries ({type, id, message})
+     * @private
+     */
+    handleWarnings(warnings) {
+        console.warn('CircularNav data warnings:', warnings);
+        this.state.updateState({ warnings });
 
-        // Notify container
+        // Notify container without entering the error state
         const errorEvent = new CustomEvent('circular-nav:error', {
-            detail: { error }
+            detail: {
+                error: new Error(`${warnings.length} data warning(s) while building hierarchy`),
+                warnings,
+                fatal: false
+            }
         });
         this.container.dispatchEvent(errorEvent);
     }
@@ -182,12 +656,9 @@ export class CircularNavManager {
             // Update state first
             await this.state.startUpdate();
 
-            // Update config if provided
-            if (config) {
-                this.config = validateConfig({
-                    ...this.config,
-                    ...config
-                }) ? {...this.config, ...config} : this.config;
+            // Update config in place, managers share the object
+            if (config && validateConfig({ ...this.config, ...config })) {
+                Object.assign(this.config, config);
             }
 
             // Update data if provided
@@ -215,14 +686,28 @@ export class CircularNavManager {
         try {
             // Start cleanup
             await this.state.updateState({ isDestroying: true });
+            await this.plugins.call('destroy');
+
+            // Cancel in-flight requests
+            this.requests.destroy();
 
             // Remove event listeners
             this.removeEventListeners();
 
             // Destroy managers
+            this.zoom.destroy();
+            this.drill.destroy();
+            this.lazy.destroy();
+            this.preload.destroy();
+            this.history.destroy();
+            this.scheduler.destroy();
             this.viz.destroy();
             this.settings.destroy();
-            await this.cache.clear();
+            this.content.destroy();
+            this.views.destroy();
+            this.plugins.destroy();
+            this.status.destroy();
+            this.cache.destroy();
 
             // Clean up DOM
             while (this.container.firstChild) {
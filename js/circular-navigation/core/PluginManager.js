@@ -0,0 +1,91 @@
+/**
+ * Plugin Manager
+ * Runs plugin hooks and owns plugin-provided managers for one instance
+ */
+
+import { getPlugins } from './plugins';
+
+export class PluginManager {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+
+        // config.plugins limits an instance to named plugins
+        const enabled = parent.config.plugins;
+        this.plugins = getPlugins().filter(plugin => !enabled || enabled.includes(plugin.name));
+
+        // Instance properties holding plugin managers
+        this.managerKeys = [];
+    }
+
+    /**
+     * Creates plugin managers as properties of the instance
+     * Runs after the built-in managers so plugins can use them
+     */
+    installManagers() {
+        this.plugins.forEach(plugin => {
+            Object.entries(plugin.managers || {}).forEach(([key, Manager]) => {
+                if (key in this.parent) {
+                    throw new Error(`Plugin ${plugin.name} cannot replace manager ${key}`);
+                }
+
+                this.parent[key] = new Manager(this.parent);
+                this.managerKeys.push(key);
+            });
+        });
+    }
+
+    /**
+     * Initializes plugin managers that define init()
+     * @returns {Promise<void>}
+     */
+    async initManagers() {
+        for (const key of this.managerKeys) {
+            await this.parent[key].init?.();
+        }
+    }
+
+    /**
+     * Calls a hook on every plugin in registration order
+     * A failing plugin is reported without stopping the others
+     * @param {string} hook - Hook name
+     * @param {Object} [payload] - Hook payload
+     * @returns {Promise<void>}
+     */
+    async call(hook, payload = {}) {
+        for (const plugin of this.plugins) {
+            const callback = plugin.hooks?.[hook];
+            if (!callback) continue;
+
+            try {
+                await callback(payload, this.parent);
+            } catch (error) {
+                this.parent.handleError(
+                    new Error(`Plugin ${plugin.name} failed in ${hook}: ${error.message}`, { cause: error }),
+                    { fatal: false }
+                );
+            }
+        }
+    }
+
+    /**
+     * Gets control definitions from all plugins
+     * @returns {Array<Object>} Controls ({id, label, icon, onClick, plugin})
+     */
+    getControls() {
+        return this.plugins.flatMap(plugin =>
+            (plugin.controls || []).map(control => ({ ...control, plugin: plugin.name }))
+        );
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.managerKeys.forEach(key => {
+            this.parent[key]?.destroy?.();
+            delete this.parent[key];
+        });
+        this.managerKeys = [];
+    }
+}
\ No newline at end of file
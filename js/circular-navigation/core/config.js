@@ -20,14 +20,73 @@ export const DEFAULT_CONFIG = {
         duration: 500,
         delayOffset: 50,
         minDuration: 200,
-        maxDuration: 1000
+        maxDuration: 1000,
+        queueMode: 'latest', // 'latest' keeps only the newest pending action, 'queue' runs all in order
+        interruptAfter: 150 // Running transitions are cut short after this when input is pending
+    },
+
+    dataSource: {
+        type: 'admin-ajax',
+        url: null,
+        rootId: 0,
+        rootName: '',
+        perPage: 100,
+        maxDepth: null,
+        selector: 'script[type="application/json"]',
+        format: 'auto',
+        keys: {
+            id: 'id',
+            parent: 'parent',
+            title: 'title'
+        },
+        orphans: 'root',
+        taxonomy: null,
+        hideEmpty: true,
+        postsPerTerm: 20,
+        menu: null,
+        menuSource: 'ajax', // 'ajax' (public admin-ajax action) or 'rest' (core menu routes, editors only)
+        lazy: false
     },
 
     zoom: {
         min: 0.5,
         max: 3,
         step: 0.1,
-        transitionDuration: 250
+        transitionDuration: 250,
+        focusScale: 1.5,
+        fitPadding: 0.9,
+        doubleTapFactor: 2
+    },
+
+    layout: 'wheel', // 'wheel' (tree of nodes and links) or 'sunburst' (arc segments per depth)
+
+    // Angles covered by the layout, in radians clockwise from 12 o'clock
+    // e.g. -Math.PI / 2 to Math.PI / 2 for a header fan, Math.PI / 2 to Math.PI for a top-left corner
+    arc: {
+        startAngle: 0,
+        endAngle: 2 * Math.PI
+    },
+
+    sunburst: {
+        value: null, // Numeric data field sizing segments, null sizes by leaf count
+        padAngle: 0.004,
+        ringPadding: 0.01, // Gap between rings as a fraction of the radius
+        dimmedOpacity: 0.35 // Opacity of segments off the selected path
+    },
+
+    // Angles of the outer ring in the wheel layout, each depth-1 branch gets a wedge
+    allocation: {
+        strategy: 'even', // 'even' per node, 'leaves' by leaf count or 'value' by a data field
+        value: null, // Numeric data field summed per subtree for the 'value' strategy
+        minArc: 0, // Minimum wedge per branch, in radians
+        padding: 0 // Gap between branch wedges, in radians
+    },
+
+    drillDown: {
+        enabled: true,
+        hiddenOnly: true,
+        duration: 750,
+        controlRadius: 12
     },
 
     node: {
@@ -89,6 +148,19 @@ export const DEFAULT_CONFIG = {
         thresholds: {
             longText: 11,
             wrap: 15
+        },
+        orientation: 'horizontal', // Outer labels as 'horizontal' boxes, 'radial' text or 'curved' along the ring
+        labelOffset: 6, // Gap between an indicator and its radial or curved label
+        // Outer label collision handling, horizontal labels only, angles in radians
+        placement: {
+            enabled: true,
+            padding: 2, // Minimum gap between labels
+            angleStep: 0.04,
+            maxAngle: 0.16, // Largest nudge along the arc
+            radiusStep: 12,
+            maxRadius: 36, // Largest nudge outwards
+            leaderThreshold: 10, // Labels moved further than this get a leader line
+            truncateWidth: 80 // Labels still overlapping are cut to this width
         }
     },
 
@@ -138,6 +210,12 @@ export const DEFAULT_CONFIG = {
                 node: 8,
                 text: 4,
                 indicator: 3
+            },
+            contentPanel: {
+                mode: 'bottom-sheet'
+            },
+            cache: {
+                maxBytes: 2097152 // 2 MB
             }
         },
         tablet: {
@@ -161,6 +239,12 @@ export const DEFAULT_CONFIG = {
                 node: 10,
                 text: 5,
                 indicator: 4
+            },
+            contentPanel: {
+                mode: 'drawer'
+            },
+            cache: {
+                maxBytes: 5242880 // 5 MB
             }
         },
         desktop: {
@@ -184,21 +268,148 @@ export const DEFAULT_CONFIG = {
                 node: 12,
                 text: 6,
                 indicator: 5
+            },
+            contentPanel: {
+                mode: 'drawer'
+            },
+            cache: {
+                maxBytes: 10485760 // 10 MB
             }
         }
     },
 
+    contentPanel: {
+        enabled: true,
+        transitionDuration: 200,
+        loginUrl: null, // Defaults to circularNavData.loginUrl, then wp-login.php
+        passwordUrl: '/wp-login.php?action=postpass',
+        messages: {
+            loading: 'Loading content…',
+            empty: 'No content available.',
+            error: 'Content could not be loaded.',
+            retry: 'Try again',
+            login: 'Log in to view this content.',
+            loginAction: 'Log in',
+            password: 'This content is password protected.',
+            passwordLabel: 'Password',
+            passwordSubmit: 'Unlock',
+            passwordIncorrect: 'That password was not accepted.',
+            forbidden: 'You do not have access to this content.'
+        }
+    },
+
     cache: {
         maxSize: 50,
+        maxBytes: 10485760, // Used when a profile sets no budget
         preloadDelay: 1000,
-        cleanupThreshold: 0.8
+        cleanupThreshold: 0.8,
+        termPreviewPosts: 5,
+        // Scoped to circularNavData.userId, logged-in users only store content marked public
+        persistent: {
+            enabled: true,
+            name: 'circular-nav-cache',
+            ttl: 3600000, // 1 hour before background revalidation
+            maxBytes: 5242880 // 5 MB
+        }
+    },
+
+    sanitize: {
+        allowedTags: [
+            'div', 'span', 'p', 'a', 'br', 'hr', 'img', 'picture', 'source',
+            'figure', 'figcaption', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+            'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'strong', 'em', 'b', 'i', 'u',
+            's', 'small', 'sub', 'sup', 'mark', 'blockquote', 'q', 'cite',
+            'code', 'pre', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+            'caption', 'colgroup', 'col', 'section', 'article', 'header',
+            'footer', 'nav', 'aside', 'main', 'details', 'summary', 'time',
+            'video', 'audio', 'track', 'svg', 'g', 'path', 'circle', 'rect',
+            'line', 'polyline', 'polygon', 'ellipse', 'defs', 'use', 'title'
+        ],
+        allowedAttributes: {
+            '*': ['class', 'id', 'style', 'title', 'role', 'lang', 'dir', 'hidden'],
+            a: ['href', 'target', 'rel'],
+            img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading', 'decoding'],
+            source: ['src', 'srcset', 'sizes', 'media', 'type'],
+            video: ['src', 'poster', 'controls', 'autoplay', 'muted', 'loop', 'playsinline', 'width', 'height'],
+            audio: ['src', 'controls', 'loop', 'muted'],
+            track: ['src', 'kind', 'srclang', 'label', 'default'],
+            td: ['colspan', 'rowspan'],
+            th: ['colspan', 'rowspan', 'scope'],
+            col: ['span'],
+            ol: ['start', 'reversed', 'type'],
+            time: ['datetime'],
+            svg: ['viewbox', 'width', 'height', 'fill', 'xmlns', 'preserveaspectratio'],
+            path: ['d', 'fill', 'stroke', 'stroke-width', 'transform'],
+            circle: ['cx', 'cy', 'r', 'fill', 'stroke'],
+            rect: ['x', 'y', 'width', 'height', 'rx', 'ry', 'fill', 'stroke'],
+            line: ['x1', 'y1', 'x2', 'y2', 'stroke'],
+            polyline: ['points', 'fill', 'stroke'],
+            polygon: ['points', 'fill', 'stroke'],
+            ellipse: ['cx', 'cy', 'rx', 'ry', 'fill', 'stroke'],
+            g: ['fill', 'stroke', 'transform'],
+            use: ['href', 'xlink:href']
+        },
+        allowedProtocols: ['http', 'https', 'mailto', 'tel'],
+        allowStyles: true,
+        styleScope: '.circular-nav-content .content-body',
+        scripts: 'strip' // 'execute' runs content scripts, only for trusted authors
+    },
+
+    request: {
+        timeout: 10000,
+        retries: 2, // Network and 5xx failures only
+        retryDelay: 500, // Doubles per retry
+        maxRetryDelay: 5000
+    },
+
+    preload: {
+        enabled: true,
+        hoverDelay: 150, // Dwell time before hover preloads
+        limit: 12,
+        reducedLimit: 3,
+        slowConnections: ['slow-2g', '2g'],
+        reducedConnections: ['3g']
+    },
+
+    status: {
+        skeletonNodes: 8, // Placeholder nodes on the loading skeleton's inner ring
+        messages: {
+            loading: 'Loading navigation…',
+            error: 'The navigation could not be loaded.',
+            offline: 'The navigation could not be loaded. Check your connection and try again.',
+            auth: 'You do not have permission to view this navigation.',
+            retry: 'Try again',
+            empty: 'There is nothing to navigate here yet.'
+        },
+        // HTML strings replacing the default markup per state
+        // {message} and {retry} are replaced, [data-action="retry"] elements retry
+        templates: {
+            loading: null,
+            error: null,
+            empty: null
+        }
+    },
+
+    // Snapshot JSON to show initially, set by data-view
+    view: null,
+
+    // Names of registered plugins to enable, null enables all
+    plugins: null,
+
+    history: {
+        enabled: true,
+        mode: 'hash', // 'hash' (#nav=slug) or 'query' (?nav=slug)
+        param: 'nav', // Use a distinct param per instance on shared pages
+        includeDrill: true,
+        includeZoom: false,
+        zoomDelay: 300 // Debounce for zoom URL updates
     },
 
     performance: {
         debounceDelay: 250,
         throttleDelay: 100,
         batchSize: 10,
-        maxTransitions: 5
+        maxTransitions: 5 // Pending actions kept in 'queue' mode
     }
 };
 
@@ -225,4 +436,33 @@ export function validateConfig(config) {
     }
 
     return true;
+}
+
+/**
+ * Deep-merges config overrides over the defaults
+ * Nested objects merge key by key, arrays and other values replace the default
+ * @param {Object} defaults - Default config, e.g. DEFAULT_CONFIG
+ * @param {Object} overrides - Partial config
+ * @returns {Object} Merged config, the inputs are not modified
+ */
+export function mergeConfig(defaults, overrides = {}) {
+    const merged = { ...defaults };
+
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        if (value === undefined) return;
+        merged[key] = isPlainObject(value) && isPlainObject(defaults?.[key]) ?
+            mergeConfig(defaults[key], value) :
+            value;
+    });
+
+    return merged;
+}
+
+/**
+ * Checks whether a value is a plain object literal
+ * @private
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' &&
+           Object.getPrototypeOf(value) === Object.prototype;
 }
\ No newline at end of file
@@ -4,7 +4,9 @@
  */
 
 import { CircularNavManager } from './CircularNavManager';
-import { DEFAULT_CONFIG } from './config';
+import { DEFAULT_CONFIG, mergeConfig } from './config';
+import { registerAdapter } from '../data/adapters';
+import { registerPlugin } from './plugins';
 
 class CircularNavigation {
     static instances = new Map();
@@ -17,22 +19,42 @@ class CircularNavigation {
             throw new Error(`Instance ${containerId} already exists`);
         }
 
-        const instance = new CircularNavManager(containerId, postType, {
-            ...DEFAULT_CONFIG,
-            ...config
-        });
+        // Merged once here so partial sections, e.g. {"zoom": {"max": 5}}, keep the other defaults
+        const instance = new CircularNavManager(containerId, postType, mergeConfig(DEFAULT_CONFIG, config));
 
         CircularNavigation.instances.set(containerId, instance);
+        instance.init();
         return instance;
     }
 
     /**
      * Gets an existing instance
+     * Its public API (selectNode, setData, on, ...) waits for initialization
+     * @param {string} containerId - Container element ID
+     * @returns {CircularNavManager|undefined}
      */
     static getInstance(containerId) {
         return CircularNavigation.instances.get(containerId);
     }
 
+    /**
+     * Registers a custom data source adapter
+     * @param {string} type - Type used in config.dataSource.type / data-source
+     * @param {typeof DataAdapter} Adapter - Adapter class
+     */
+    static registerDataSource(type, Adapter) {
+        registerAdapter(type, Adapter);
+    }
+
+    /**
+     * Registers a plugin for instances created afterwards
+     * Register before DOMContentLoaded to reach auto-initialized containers
+     * @param {Object} plugin - Plugin definition, see registerPlugin in ./plugins
+     */
+    static registerPlugin(plugin) {
+        registerPlugin(plugin);
+    }
+
     /**
      * Destroys an instance
      */
@@ -47,6 +69,45 @@ class CircularNavigation {
     }
 }
 
+/**
+ * Reads data source options from data-* attributes
+ * @param {DOMStringMap} dataset - Container dataset
+ * @returns {Object} Data source options
+ */
+function readDataSourceAttributes(dataset) {
+    const options = {};
+    if (dataset.source) options.type = dataset.source;
+    if (dataset.sourceUrl) options.url = dataset.sourceUrl;
+    if (dataset.rootId) options.rootId = parseInt(dataset.rootId, 10);
+    if (dataset.lazy) options.lazy = dataset.lazy !== 'false';
+
+    // A taxonomy alone selects the taxonomy source
+    if (dataset.taxonomy) {
+        options.taxonomy = dataset.taxonomy;
+        options.type = options.type || 'taxonomy';
+    }
+
+    // A menu (id, slug or location) selects the nav menu source
+    if (dataset.menu) {
+        options.menu = dataset.menu;
+        options.type = options.type || 'nav-menu';
+    }
+
+    return options;
+}
+
+/**
+ * Reads history options from the data-history attribute
+ * "false" disables URL sync, any other value names the URL parameter
+ * @param {DOMStringMap} dataset - Container dataset
+ * @returns {Object} History options
+ */
+function readHistoryAttributes(dataset) {
+    if (dataset.history === undefined) return {};
+    if (dataset.history === 'false') return { enabled: false };
+    return dataset.history ? { param: dataset.history } : {};
+}
+
 // Initialize on document ready
 document.addEventListener('DOMContentLoaded', () => {
     // Find all circular navigation containers
@@ -55,6 +116,17 @@ document.addEventListener('DOMContentLoaded', () => {
             const containerId = container.id;
             const postType = container.dataset.postType;
             const config = JSON.parse(container.dataset.config || '{}');
+            config.dataSource = {
+                ...config.dataSource,
+                ...readDataSourceAttributes(container.dataset)
+            };
+            config.history = {
+                ...config.history,
+                ...readHistoryAttributes(container.dataset)
+            };
+            if (container.dataset.view) {
+                config.view = container.dataset.view;
+            }
 
             CircularNavigation.createInstance(containerId, postType, config);
         } catch (error) {
@@ -0,0 +1,44 @@
+/**
+ * Plugins
+ * Registry of plugins applied to every instance created after registration
+ */
+
+// Lifecycle hooks plugins can subscribe to
+export const HOOKS = [
+    'beforeInit',
+    'dataLoaded',
+    'beforeRender',
+    'nodeRendered',
+    'selectionChanged',
+    'contentLoaded',
+    'destroy'
+];
+
+const PLUGINS = new Map();
+
+/**
+ * Registers a plugin
+ * @param {Object} plugin - Plugin definition
+ * @param {string} plugin.name - Unique plugin name, used by config.plugins
+ * @param {Object} [plugin.hooks] - Callbacks by hook name, called with (payload, instance)
+ * @param {Object} [plugin.managers] - Manager classes by instance property, constructed with the instance
+ * @param {Array} [plugin.controls] - Control buttons ({id, label, icon, onClick(instance)})
+ */
+export function registerPlugin(plugin) {
+    if (!plugin?.name) throw new Error('Plugin name is required');
+
+    const unknown = Object.keys(plugin.hooks || {}).filter(hook => !HOOKS.includes(hook));
+    if (unknown.length > 0) {
+        throw new Error(`Plugin ${plugin.name} uses unknown hooks: ${unknown.join(', ')}`);
+    }
+
+    PLUGINS.set(plugin.name, plugin);
+}
+
+/**
+ * Gets registered plugins in registration order
+ * @returns {Array<Object>} Plugin definitions
+ */
+export function getPlugins() {
+    return [...PLUGINS.values()];
+}
\ No newline at end of file
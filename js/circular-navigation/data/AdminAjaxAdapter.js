@@ -0,0 +1,78 @@
+/**
+ * Admin Ajax Adapter
+ * Fetches the hierarchy through the fetch_hierarchical_posts admin-ajax action
+ */
+
+import { DataAdapter } from './DataAdapter';
+import { RequestError } from '../utils/request';
+
+export class AdminAjaxAdapter extends DataAdapter {
+    static requiresPostType = true;
+    static supportsLazy = true;
+
+    async fetch() {
+        const params = this.getRequestParams();
+
+        // Lazy mode only fetches the root and the first two rings
+        if (this.options.lazy && this.constructor.supportsLazy) {
+            params.depth = 2;
+        }
+
+        return this.normalize(await this.request(params));
+    }
+
+    /**
+     * Fetches the children of a node for lazy loading
+     * Nodes flag further levels through has_children
+     * @param {Object} nodeData - Normalized node data
+     * @returns {Promise<Array>} Normalized child nodes
+     */
+    async loadChildren(nodeData) {
+        const data = await this.request({
+            ...this.getRequestParams(),
+            parent: nodeData.objectId ?? nodeData.id,
+            depth: 1
+        });
+
+        return (Array.isArray(data) ? data : data.children || [])
+            .map(item => this.normalizeNode(item));
+    }
+
+    /**
+     * Posts an admin-ajax request
+     * @protected
+     * @returns {Promise<*>} Response data
+     */
+    async request(params) {
+        const url = this.options.url || ajaxurl;
+        const result = await this.parent.requests.fetchJSON(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams({
+                ...params,
+                nonce: circularNavData.nonce
+            })
+        });
+
+        // admin-ajax reports handler failures with a 200 response
+        if (!result.success) {
+            throw new RequestError('Data fetch failed', { url });
+        }
+
+        return result.data;
+    }
+
+    /**
+     * Gets the admin-ajax action parameters
+     * @protected
+     * @returns {Object} Request parameters
+     */
+    getRequestParams() {
+        return {
+            action: this.options.action || 'fetch_hierarchical_posts',
+            post_type: this.parent.postType
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,178 @@
+/**
+ * Data Adapter
+ * Base class for hierarchy data sources
+ */
+
+import { stratifyFlatList } from './stratify';
+
+export class DataAdapter {
+    /**
+     * Whether the adapter needs a post type to fetch data
+     */
+    static requiresPostType = false;
+
+    /**
+     * Whether the adapter can load children on demand
+     */
+    static supportsLazy = false;
+
+    /**
+     * @param {CircularNavManager} parent - Owning manager
+     * @param {Object} options - config.dataSource options
+     */
+    constructor(parent, options = {}) {
+        this.parent = parent;
+        this.options = options;
+        this.warnings = [];
+    }
+
+    /**
+     * Fetches the hierarchy
+     * @returns {Promise<Object>} Normalized {id, name, children} tree
+     */
+    async fetch() {
+        throw new Error(`${this.constructor.name} must implement fetch()`);
+    }
+
+    /**
+     * Fetches the children of a node for lazy loading
+     * @param {Object} nodeData - Normalized node data
+     * @returns {Promise<Array>} Normalized child nodes
+     */
+    async loadChildren(nodeData) {
+        throw new Error(`${this.constructor.name} does not support lazy loading`);
+    }
+
+    /**
+     * Normalizes a tree, a flat parent-id list or a list of top-level items
+     * @param {Object|Array} data - Raw data
+     * @returns {Object} Normalized root node
+     */
+    normalize(data) {
+        this.warnings = [];
+
+        if (this.isFlatList(data)) {
+            return this.normalizeFlatList(data);
+        }
+        if (Array.isArray(data)) {
+            return {
+                ...this.createRootNode(),
+                children: data.map(item => this.normalizeNode(item))
+            };
+        }
+        return this.normalizeNode(data);
+    }
+
+    /**
+     * Checks whether data is a flat parent-id list
+     * @protected
+     */
+    isFlatList(data) {
+        const { format, keys } = this.options;
+        if (!Array.isArray(data)) return false;
+        if (format !== 'auto') return format === 'flat';
+
+        return data.some(item => item[keys.parent] !== undefined) &&
+               !data.some(item => item.children?.length);
+    }
+
+    /**
+     * Normalizes a flat parent-id list, collecting orphan and cycle warnings
+     * @protected
+     */
+    normalizeFlatList(items) {
+        const { root, warnings } = stratifyFlatList(items, {
+            idKey: this.options.keys.id,
+            parentKey: this.options.keys.parent,
+            orphans: this.options.orphans,
+            root: this.createRootNode(),
+            mapItem: item => this.normalizeNode(item)
+        });
+
+        this.warnings.push(...warnings);
+        return root;
+    }
+
+    /**
+     * Creates the node used when a root has to be synthesized
+     * @protected
+     */
+    createRootNode() {
+        return {
+            id: this.options.rootId,
+            name: this.options.rootName || '',
+            children: []
+        };
+    }
+
+    /**
+     * Normalizes a single node and its children
+     * @protected
+     * @param {Object} item - Raw node
+     * @returns {Object} Normalized node
+     */
+    normalizeNode(item) {
+        const node = {
+            id: item[this.options.keys.id] ?? item.id ?? item.ID,
+            name: this.getTitle(item),
+            children: (item.children || []).map(child => this.normalizeNode(child))
+        };
+
+        // Children exist on the server but were not sent yet
+        if (item.has_children && !item.children?.length) {
+            node.childrenLoaded = false;
+        }
+
+        // Optional fields used for linking
+        if (item.slug) node.slug = item.slug;
+        if (item.url || item.link) node.url = item.url || item.link;
+
+        // Restricted nodes are marked as locked
+        const access = getAccess(item);
+        if (access) node.access = access;
+
+        return node;
+    }
+
+    /**
+     * Gets a display title from common WordPress shapes
+     * @protected
+     */
+    getTitle(item) {
+        const title = item[this.options.keys.title];
+        if (typeof title === 'string') return title;
+        if (title?.rendered !== undefined) return decodeEntities(title.rendered);
+
+        if (typeof item.name === 'string') return item.name;
+        if (typeof item.title === 'string') return item.title;
+        if (item.title?.rendered !== undefined) return decodeEntities(item.title.rendered);
+        return item.post_title || '';
+    }
+}
+
+/**
+ * Gets the access level of a raw item from common WordPress shapes
+ * @param {Object} item - Raw node
+ * @returns {string|null} 'password', 'private' or 'draft', null when public
+ */
+export function getAccess(item) {
+    const status = item.status ?? item.post_status;
+
+    if (item.password_required || item.protected || item.content?.protected) {
+        return 'password';
+    }
+    if (status === 'private') return 'private';
+    if (['draft', 'pending', 'future'].includes(status)) return 'draft';
+    return null;
+}
+
+/**
+ * Decodes HTML entities in rendered titles
+ * @param {string} html - Rendered title
+ * @returns {string} Plain text
+ */
+export function decodeEntities(html) {
+    const textarea = document.createElement('textarea');
+    textarea.innerHTML = html;
+    return textarea.value;
+}
\ No newline at end of file
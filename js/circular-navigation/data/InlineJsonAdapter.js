@@ -0,0 +1,17 @@
+/**
+ * Inline JSON Adapter
+ * Reads the hierarchy from a JSON script embedded in the container
+ */
+
+import { DataAdapter } from './DataAdapter';
+
+export class InlineJsonAdapter extends DataAdapter {
+    async fetch() {
+        const script = this.parent.container.querySelector(this.options.selector);
+        if (!script) {
+            throw new Error(`Inline data not found: ${this.options.selector}`);
+        }
+
+        return this.normalize(JSON.parse(script.textContent));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * Nav Menu Adapter
+ * Builds the hierarchy from a registered nav menu
+ *
+ * Menus load through the fetch_nav_menu_items admin-ajax action. The server side registers it
+ * for wp_ajax_ and wp_ajax_nopriv_, so visitors can read it, checks the nonce, and answers
+ * wp_send_json_success( wp_get_nav_menu_items( $menu ) ) for the `menu` parameter, a menu id,
+ * slug or theme location. menuSource 'rest' reads the core /wp/v2/menu-items routes instead,
+ * which only answer users who can edit theme options, e.g. in editor previews.
+ */
+
+import { AdminAjaxAdapter } from './AdminAjaxAdapter';
+import { RestApiAdapter } from './RestApiAdapter';
+import { AuthError } from '../utils/request';
+
+// Item keys per source, admin-ajax returns wp_get_nav_menu_items() objects
+const SOURCE_KEYS = {
+    ajax: { id: 'ID', parent: 'menu_item_parent', title: 'title' },
+    rest: { id: 'id', parent: 'parent', title: 'title' }
+};
+
+export class NavMenuAdapter extends AdminAjaxAdapter {
+    static requiresPostType = false;
+    static supportsLazy = false;
+
+    constructor(parent, options = {}) {
+        const menuSource = options.menuSource === 'rest' ? 'rest' : 'ajax';
+
+        // Menu items are always flat, linked through their parent item
+        super(parent, {
+            ...options,
+            menuSource,
+            format: 'flat',
+            keys: SOURCE_KEYS[menuSource]
+        });
+
+        // Core REST routes, only read with menuSource 'rest'
+        this.rest = menuSource === 'rest' ? new RestApiAdapter(parent, this.options) : null;
+    }
+
+    async fetch() {
+        if (!this.options.menu) {
+            throw new Error('Nav menu data source requires a menu');
+        }
+        if (!this.rest) return super.fetch();
+
+        this.warnings = [];
+        return this.normalizeFlatList(await this.fetchRestItems());
+    }
+
+    /**
+     * Gets the admin-ajax action parameters
+     * menuAction is separate from action, which names the post hierarchy handler
+     * @protected
+     */
+    getRequestParams() {
+        return {
+            action: this.options.menuAction || 'fetch_nav_menu_items',
+            menu: this.options.menu
+        };
+    }
+
+    /**
+     * Fetches menu items from the core REST routes
+     * @private
+     * @returns {Promise<Array>} Flat menu items
+     */
+    async fetchRestItems() {
+        try {
+            const menuId = await this.resolveMenuId(this.options.menu);
+            return await this.rest.fetchAllPages(`${this.rest.getRestRoot()}/menu-items`, {
+                menus: menuId,
+                orderby: 'menu_order',
+                order: 'asc',
+                _fields: 'id,parent,title,url,type,object,object_id,target'
+            });
+        } catch (error) {
+            // Core keeps menu routes closed to visitors, say so instead of a bare 401
+            if (error instanceof AuthError) {
+                throw new AuthError(
+                    'The core menu REST routes require the edit_theme_options capability, ' +
+                    'use the default admin-ajax menu source on public pages',
+                    { status: error.status, url: error.url, cause: error }
+                );
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Resolves a menu id, slug or theme location to a menu id
+     * @private
+     * @returns {Promise<number|string>} Menu term id
+     */
+    async resolveMenuId(menu) {
+        if (/^\d+$/.test(String(menu))) return menu;
+
+        const root = this.rest.getRestRoot();
+        const [menus] = await this.rest.request(`${root}/menus`, {
+            slug: menu,
+            _fields: 'id'
+        });
+        if (menus.length > 0) return menus[0].id;
+
+        const [location] = await this.rest.request(
+            `${root}/menu-locations/${encodeURIComponent(menu)}`,
+            { _fields: 'menu' }
+        );
+        if (!location.menu) {
+            throw new Error(`No nav menu found for ${menu}`);
+        }
+        return location.menu;
+    }
+
+    /**
+     * Normalizes a menu item into a node
+     * @protected
+     */
+    normalizeNode(item) {
+        const node = {
+            ...super.normalizeNode(item),
+            objectId: parseInt(item.object_id, 10)
+        };
+
+        if (item.target) node.target = item.target;
+
+        if (item.type === 'custom') {
+            // Custom links have no content of their own
+            node.type = 'link';
+            node.external = isExternalUrl(item.url);
+        } else if (item.type === 'taxonomy') {
+            node.type = 'term';
+            node.taxonomy = item.object;
+        } else {
+            node.type = 'post';
+        }
+
+        return node;
+    }
+}
+
+/**
+ * Checks whether a URL points to another host
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isExternalUrl(url) {
+    try {
+        return new URL(url, window.location.href).host !== window.location.host;
+    } catch (error) {
+        return false;
+    }
+}
\ No newline at end of file
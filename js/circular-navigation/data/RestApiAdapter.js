@@ -0,0 +1,195 @@
+/**
+ * REST API Adapter
+ * Builds the hierarchy by walking /wp/v2/{type}?parent= level by level
+ */
+
+import { DataAdapter } from './DataAdapter';
+import { parseJSON } from '../utils/request';
+
+// REST bases for core types, custom types default to their name
+const POST_TYPE_BASES = {
+    page: 'pages',
+    post: 'posts'
+};
+
+const TAXONOMY_BASES = {
+    category: 'categories',
+    post_tag: 'tags'
+};
+
+/**
+ * Gets the REST base for a post type
+ * @param {string} postType - Post type name
+ * @returns {string} REST base
+ */
+export function getPostTypeRestBase(postType) {
+    return POST_TYPE_BASES[postType] || postType;
+}
+
+/**
+ * Gets the REST base for a taxonomy
+ * @param {string} taxonomy - Taxonomy name
+ * @returns {string} REST base
+ */
+export function getTaxonomyRestBase(taxonomy) {
+    return TAXONOMY_BASES[taxonomy] || taxonomy;
+}
+
+export class RestApiAdapter extends DataAdapter {
+    static requiresPostType = true;
+    static supportsLazy = true;
+
+    async fetch() {
+        const root = await this.fetchRoot();
+
+        // Lazy mode only fetches the root and the first two rings
+        const maxDepth = this.options.lazy ? 2 : this.options.maxDepth ?? Infinity;
+
+        // Walk one level at a time, batching all parents of a level
+        let level = [root];
+        let depth = 0;
+
+        while (level.length > 0 && depth < maxDepth) {
+            const byId = new Map(level.map(node => [String(node.id), node]));
+            const items = await this.fetchChildren([...byId.keys()]);
+
+            items.forEach(item => {
+                const parent = byId.get(String(item.parent));
+                if (parent) parent.children.push(this.normalizeNode(item));
+            });
+
+            level = level.flatMap(node => node.children);
+            depth++;
+        }
+
+        // Children below the last fetched ring are unknown until requested
+        if (this.options.lazy) {
+            level.forEach(node => {
+                node.childrenLoaded = false;
+            });
+        }
+
+        return root;
+    }
+
+    /**
+     * Fetches the children of a node for lazy loading
+     * @param {Object} nodeData - Normalized node data
+     * @returns {Promise<Array>} Normalized child nodes
+     */
+    async loadChildren(nodeData) {
+        const items = await this.fetchChildren([String(nodeData.objectId ?? nodeData.id)]);
+
+        return items.map(item => ({
+            ...this.normalizeNode(item),
+            childrenLoaded: false
+        }));
+    }
+
+    /**
+     * Fetches the root node, synthesizing one for top-level items
+     * @private
+     */
+    async fetchRoot() {
+        const { rootId } = this.options;
+
+        if (!rootId) {
+            return this.createRootNode();
+        }
+
+        const [item] = await this.request(`${this.getEndpoint()}/${rootId}`, {
+            _fields: this.getFields()
+        });
+        return this.normalizeNode(item);
+    }
+
+    /**
+     * Fetches all children of the given parents, following pagination
+     * @private
+     */
+    async fetchChildren(parentIds) {
+        const items = [];
+        const batchSize = this.options.perPage;
+
+        // Keep query strings bounded for wide levels
+        for (let i = 0; i < parentIds.length; i += batchSize) {
+            items.push(...await this.fetchAllPages(this.getEndpoint(), {
+                parent: parentIds.slice(i, i + batchSize).join(','),
+                orderby: 'menu_order',
+                order: 'asc',
+                _fields: this.getFields()
+            }));
+        }
+
+        return items;
+    }
+
+    /**
+     * Fetches every page of a collection
+     * @protected
+     * @returns {Promise<Array>} All items
+     */
+    async fetchAllPages(url, params) {
+        const items = [];
+        let page = 1;
+        let totalPages = 1;
+
+        do {
+            const [results, response] = await this.request(url, {
+                ...params,
+                page,
+                per_page: this.options.perPage
+            });
+
+            items.push(...results);
+            totalPages = parseInt(response.headers.get('X-WP-TotalPages'), 10) || 1;
+            page++;
+        } while (page <= totalPages);
+
+        return items;
+    }
+
+    /**
+     * Performs a GET request against the REST API
+     * @protected
+     * @returns {Promise<Array>} [json, response]
+     */
+    async request(url, params) {
+        const headers = { 'Accept': 'application/json' };
+        if (typeof circularNavData !== 'undefined' && circularNavData.restNonce) {
+            headers['X-WP-Nonce'] = circularNavData.restNonce;
+        }
+
+        const response = await this.parent.requests.fetch(`${url}?${new URLSearchParams(params)}`, {
+            headers,
+            credentials: 'same-origin'
+        });
+
+        return [await parseJSON(response), response];
+    }
+
+    /**
+     * Gets the collection endpoint for the post type
+     * @private
+     */
+    getEndpoint() {
+        const base = this.options.restBase || getPostTypeRestBase(this.parent.postType);
+        return `${this.getRestRoot()}/${base}`;
+    }
+
+    /**
+     * Gets the REST API root
+     * @protected
+     */
+    getRestRoot() {
+        return this.options.url || '/wp-json/wp/v2';
+    }
+
+    /**
+     * Gets the fields requested from the API
+     * @private
+     */
+    getFields() {
+        return 'id,parent,title,slug,link,status,content.protected';
+    }
+}
\ No newline at end of file
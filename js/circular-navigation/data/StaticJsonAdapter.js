@@ -0,0 +1,20 @@
+/**
+ * Static JSON Adapter
+ * Fetches the hierarchy from a static JSON file
+ */
+
+import { DataAdapter } from './DataAdapter';
+
+export class StaticJsonAdapter extends DataAdapter {
+    async fetch() {
+        if (!this.options.url) {
+            throw new Error('Static JSON data source requires a url');
+        }
+
+        const data = await this.parent.requests.fetchJSON(this.options.url, {
+            headers: { 'Accept': 'application/json' }
+        });
+
+        return this.normalize(data);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * Taxonomy Adapter
+ * Builds the hierarchy from taxonomy terms, with posts in each term as leaves
+ */
+
+import {
+    RestApiAdapter,
+    getPostTypeRestBase,
+    getTaxonomyRestBase
+} from './RestApiAdapter';
+
+export class TaxonomyAdapter extends RestApiAdapter {
+    static requiresPostType = false;
+    static supportsLazy = false;
+
+    async fetch() {
+        const { taxonomy, rootId } = this.options;
+        if (!taxonomy) {
+            throw new Error('Taxonomy data source requires a taxonomy');
+        }
+
+        this.warnings = [];
+
+        // Terms come back flat with parent ids
+        const terms = await this.fetchAllPages(this.getTaxonomyEndpoint(), {
+            hide_empty: this.options.hideEmpty,
+            orderby: 'name',
+            _fields: 'id,name,slug,link,parent,count'
+        });
+
+        let root = this.normalizeFlatList(terms);
+
+        // Optionally start from a specific term
+        if (rootId) {
+            root = this.findTerm(root, rootId) || root;
+        }
+
+        if (this.parent.postType) {
+            await this.attachPosts(root);
+        }
+
+        return root;
+    }
+
+    /**
+     * Normalizes a term into a node
+     * @protected
+     */
+    normalizeNode(item) {
+        return {
+            ...super.normalizeNode(item),
+            id: `term-${item.id}`,
+            type: 'term',
+            objectId: item.id,
+            taxonomy: this.options.taxonomy
+        };
+    }
+
+    /**
+     * Appends posts in each term after its child terms
+     * @private
+     */
+    async attachPosts(root) {
+        const termNodes = new Map();
+        const collect = node => {
+            if (node.type === 'term') termNodes.set(String(node.objectId), node);
+            node.children.forEach(collect);
+        };
+        collect(root);
+
+        if (termNodes.size === 0) return;
+
+        const taxonomyBase = getTaxonomyRestBase(this.options.taxonomy);
+        const termIds = [...termNodes.keys()];
+        const posts = [];
+
+        // Keep query strings bounded for large taxonomies
+        for (let i = 0; i < termIds.length; i += this.options.perPage) {
+            posts.push(...await this.fetchAllPages(this.getEndpoint(), {
+                [taxonomyBase]: termIds.slice(i, i + this.options.perPage).join(','),
+                _fields: `id,title,slug,link,${taxonomyBase}`
+            }));
+        }
+
+        // A post appears under every term it belongs to
+        const counts = new Map();
+        posts.forEach(post => {
+            (post[taxonomyBase] || []).forEach(termId => {
+                const term = termNodes.get(String(termId));
+                const count = counts.get(term) || 0;
+                if (!term || count >= this.options.postsPerTerm) return;
+
+                term.children.push(this.createPostNode(post, term));
+                counts.set(term, count + 1);
+            });
+        });
+    }
+
+    /**
+     * Creates a post node below a term
+     * @private
+     */
+    createPostNode(post, term) {
+        const node = {
+            id: `post-${term.objectId}-${post.id}`,
+            name: this.getTitle(post),
+            children: [],
+            type: 'post',
+            objectId: post.id
+        };
+
+        if (post.slug) node.slug = post.slug;
+        if (post.link) node.url = post.link;
+
+        return node;
+    }
+
+    /**
+     * Finds a term node by term id
+     * @private
+     */
+    findTerm(node, termId) {
+        if (node.type === 'term' && String(node.objectId) === String(termId)) {
+            return node;
+        }
+        for (const child of node.children) {
+            const found = this.findTerm(child, termId);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Gets the term collection endpoint
+     * @private
+     */
+    getTaxonomyEndpoint() {
+        return `${this.getRestRoot()}/${getTaxonomyRestBase(this.options.taxonomy)}`;
+    }
+}
\ No newline at end of file
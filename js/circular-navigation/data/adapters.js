@@ -0,0 +1,51 @@
+/**
+ * Data Source Adapters
+ * Registry of adapters selectable through config.dataSource.type
+ */
+
+import { AdminAjaxAdapter } from './AdminAjaxAdapter';
+import { RestApiAdapter } from './RestApiAdapter';
+import { StaticJsonAdapter } from './StaticJsonAdapter';
+import { InlineJsonAdapter } from './InlineJsonAdapter';
+import { TaxonomyAdapter } from './TaxonomyAdapter';
+import { NavMenuAdapter } from './NavMenuAdapter';
+
+const ADAPTERS = new Map([
+    ['admin-ajax', AdminAjaxAdapter],
+    ['rest', RestApiAdapter],
+    ['json', StaticJsonAdapter],
+    ['inline', InlineJsonAdapter],
+    ['taxonomy', TaxonomyAdapter],
+    ['nav-menu', NavMenuAdapter]
+]);
+
+/**
+ * Registers a custom adapter
+ * @param {string} type - Adapter type used in config.dataSource.type
+ * @param {typeof DataAdapter} Adapter - Adapter class
+ */
+export function registerAdapter(type, Adapter) {
+    ADAPTERS.set(type, Adapter);
+}
+
+/**
+ * Gets an adapter class by type
+ * @param {string} type - Adapter type
+ * @returns {typeof DataAdapter} Adapter class
+ */
+export function getAdapter(type) {
+    const Adapter = ADAPTERS.get(type);
+    if (!Adapter) throw new Error(`Unknown data source: ${type}`);
+    return Adapter;
+}
+
+/**
+ * Creates the adapter configured for a manager
+ * @param {CircularNavManager} parent - Owning manager
+ * @returns {DataAdapter} Adapter instance
+ */
+export function createAdapter(parent) {
+    const options = parent.config.dataSource;
+    const Adapter = getAdapter(options.type);
+    return new Adapter(parent, options);
+}
\ No newline at end of file
@@ -0,0 +1,157 @@
+/**
+ * Flat List Stratification
+ * Builds nested hierarchies from flat parent-id lists
+ */
+
+import * as d3 from 'd3';
+
+// Private id for synthesized roots so it never collides with item ids
+const SYNTHETIC_ROOT = '\0root';
+
+/**
+ * Builds a nested hierarchy from a flat list of items
+ * Orphans and cycles are reported as warnings instead of throwing
+ * With one genuine top-level item they are attached to it, a root is synthesized only for several
+ * @param {Array} items - Flat list of items
+ * @param {Object} options - Stratify options
+ * @param {string} options.idKey - Item id key
+ * @param {string} options.parentKey - Item parent id key
+ * @param {Function} options.mapItem - Maps an item to a normalized node
+ * @param {Object} options.root - Normalized node used when a root is synthesized
+ * @param {string} [options.orphans] - 'root' to attach orphans to the root, 'drop' to skip them
+ * @returns {Object} { root, warnings }
+ */
+export function stratifyFlatList(items, options) {
+    const { idKey, parentKey, mapItem, root, orphans = 'root' } = options;
+    const warnings = [];
+
+    // Index items by id
+    const byId = new Map();
+    items.forEach(item => {
+        const id = toKey(item[idKey]);
+        if (id === null) {
+            warnings.push(createWarning('missing-id', null, 'Item without id skipped'));
+        } else if (byId.has(id)) {
+            warnings.push(createWarning('duplicate', id, `Duplicate id ${id} skipped`));
+        } else {
+            byId.set(id, item);
+        }
+    });
+
+    // Resolve parents, detecting orphans
+    const parentOf = new Map();
+    const dropped = new Set();
+    const detached = new Set();
+    byId.forEach((item, id) => {
+        const parentId = toKey(item[parentKey]);
+
+        if (parentId === null || parentId === '0') {
+            parentOf.set(id, null);
+        } else if (!byId.has(parentId)) {
+            warnings.push(createWarning(
+                'orphan',
+                id,
+                `Parent ${parentId} of ${id} is missing or unpublished`
+            ));
+            parentOf.set(id, null);
+            detached.add(id);
+            if (orphans === 'drop') dropped.add(id);
+        } else {
+            parentOf.set(id, parentId);
+        }
+    });
+
+    breakCycles(parentOf, warnings, detached);
+
+    // Skip dropped orphans along with everything below them
+    const kept = [...byId.keys()].filter(id => !isBelowDropped(id, parentOf, dropped));
+    const topLevel = kept.filter(id => parentOf.get(id) === null);
+    const genuine = topLevel.filter(id => !detached.has(id));
+
+    // Detached items join a single genuine root, otherwise the single top-level
+    // item is the root and only several top-level items get a synthesized one
+    const adopter = genuine.length === 1 ? genuine[0] : null;
+    const synthesize = adopter === null && topLevel.length !== 1;
+    const rows = kept.map(id => ({
+        id,
+        parentId: parentOf.get(id) ??
+            (id === adopter ? null : adopter ?? (synthesize ? SYNTHETIC_ROOT : null)),
+        item: byId.get(id)
+    }));
+
+    if (synthesize) {
+        rows.unshift({ id: SYNTHETIC_ROOT, parentId: null, item: null });
+    }
+
+    const tree = d3.stratify()
+        .id(row => row.id)
+        .parentId(row => row.parentId)(rows);
+
+    const toNested = node => ({
+        ...(node.data.item ? mapItem(node.data.item) : root),
+        children: (node.children || []).map(toNested)
+    });
+
+    return { root: toNested(tree), warnings };
+}
+
+/**
+ * Detaches one member of every parent cycle
+ * @private
+ */
+function breakCycles(parentOf, warnings, detached) {
+    // 1 = on the current walk, 2 = resolved
+    const visited = new Map();
+
+    parentOf.forEach((_, start) => {
+        const walk = [];
+        let current = start;
+
+        while (current !== null && !visited.has(current)) {
+            visited.set(current, 1);
+            walk.push(current);
+            current = parentOf.get(current);
+        }
+
+        if (current !== null && visited.get(current) === 1) {
+            const cycle = walk.slice(walk.indexOf(current));
+            warnings.push({
+                ...createWarning('cycle', current, `Parent cycle ${cycle.join(' > ')} broken at ${current}`),
+                ids: cycle
+            });
+            parentOf.set(current, null);
+            detached.add(current);
+        }
+
+        walk.forEach(id => visited.set(id, 2));
+    });
+}
+
+/**
+ * Checks whether an item is, or descends from, a dropped orphan
+ * @private
+ */
+function isBelowDropped(id, parentOf, dropped) {
+    let current = id;
+    while (current !== null) {
+        if (dropped.has(current)) return true;
+        current = parentOf.get(current);
+    }
+    return false;
+}
+
+/**
+ * Converts an id to a map key
+ * @private
+ */
+function toKey(value) {
+    return value === undefined || value === null || value === '' ? null : String(value);
+}
+
+/**
+ * Creates a warning entry
+ * @private
+ */
+function createWarning(type, id, message) {
+    return { type, id, message };
+}
\ No newline at end of file
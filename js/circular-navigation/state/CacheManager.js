@@ -3,6 +3,12 @@
  * Handles content caching, preloading, and memory management
  */
 
+import { getPostTypeRestBase, getTaxonomyRestBase } from '../data/RestApiAdapter';
+import { PersistentCache } from './PersistentCache';
+import { decodeEntities } from '../data/DataAdapter';
+import { sanitizeHTML, hashPolicy } from '../utils/sanitize';
+import { AuthError } from '../utils/request';
+
 export class CacheManager {
     constructor(parent) {
         this.parent = parent;
@@ -10,14 +16,27 @@ export class CacheManager {
         
         // Initialize cache storage
         this.cache = new Map();
-        this.preloadQueue = new Set();
+
+        // Queued preloads by id ({priority, signal}), lower priority loads first
+        this.preloadQueue = new Map();
         this.stats = {
             hits: 0,
             misses: 0,
+            persistentHits: 0,
             size: 0,
+            bytes: 0,
+            evictions: 0,
+            evictedBytes: 0,
             lastCleanup: Date.now()
         };
 
+        // Persistent tier behind the in-memory cache
+        this.persistent = new PersistentCache(this.config.cache.persistent, {
+            user: getSessionUser(),
+            policy: hashPolicy(this.config.sanitize)
+        });
+        this.revalidating = new Set();
+
         // Loading state
         this.isLoading = false;
         this.loadingPromises = new Map();
@@ -29,23 +48,51 @@ export class CacheManager {
     async init() {
         // Clear any existing cache
         this.clear();
+
+        // Stored content survives page loads
+        await this.persistent.open();
         
         // Preload root content
         const data = this.parent.state.getData();
-        if (data?.id) {
-            await this.preloadContent(data.id);
+        const contentKey = data && this.getContentKey(data.data);
+        if (contentKey) {
+            await this.preloadContent(contentKey);
         }
     }
 
+    /**
+     * Checks whether a node has content to fetch
+     * Custom menu links only navigate
+     * @param {Object} nodeData - Normalized node data
+     * @returns {boolean}
+     */
+    hasContent(nodeData) {
+        return nodeData.type !== 'link';
+    }
+
+    /**
+     * Gets the cache key for a node's content
+     * Posts use their ID, terms are prefixed so IDs cannot collide
+     * @param {Object} nodeData - Normalized node data
+     * @returns {string|null} Content key, null when there is nothing to fetch
+     */
+    getContentKey(nodeData) {
+        if (!this.hasContent(nodeData)) return null;
+        if (nodeData.type === 'term') {
+            return `term:${nodeData.taxonomy}:${nodeData.objectId}`;
+        }
+        return String(nodeData.objectId ?? nodeData.id);
+    }
+
     /**
      * Gets content from cache or fetches it
-     * @param {string} id - Content ID
+     * @param {string} id - Content ID or key from getContentKey()
      * @returns {Promise<Object>} Content data
      */
     async get(id) {
-        // Check if content is already being loaded
+        // Check if content is already being loaded, e.g. by a preload
         if (this.loadingPromises.has(id)) {
-            return this.loadingPromises.get(id);
+            return this.loadShared(id);
         }
 
         // Check cache first
@@ -56,17 +103,38 @@ export class CacheManager {
             return cached.content;
         }
 
-        // Cache miss - fetch content
+        // Cache miss - check persistent storage, then fetch
         this.stats.misses++;
-        const promise = this.fetchContent(id);
-        this.loadingPromises.set(id, promise);
+        return this.loadShared(id);
+    }
+
+    /**
+     * Loads content into the cache, sharing one request per id
+     * A cancelled preload does not cancel the requests that joined it
+     * @private
+     * @param {string} id - Content ID
+     * @param {AbortSignal} [signal] - Aborts the request when no one else waits for it
+     * @returns {Promise<Object>} Content data
+     */
+    async loadShared(id, signal = null) {
+        if (!this.loadingPromises.has(id)) {
+            const promise = this.loadContent(id, signal)
+                .then(content => {
+                    this.set(id, content);
+                    return content;
+                })
+                .finally(() => this.loadingPromises.delete(id));
+            this.loadingPromises.set(id, promise);
+        }
 
         try {
-            const content = await promise;
-            this.set(id, content);
-            return content;
-        } finally {
-            this.loadingPromises.delete(id);
+            return await this.loadingPromises.get(id);
+        } catch (error) {
+            // The shared request was a preload that got cancelled, start over
+            if (error.name === 'AbortError' && !signal?.aborted) {
+                return this.loadShared(id, signal);
+            }
+            throw error;
         }
     }
 
@@ -76,16 +144,24 @@ export class CacheManager {
      * @param {Object} content - Content to cache
      */
     set(id, content) {
+        const size = this.estimateSize(content);
+
+        // Replacing an entry frees its previous size
+        if (this.cache.has(id)) {
+            this.stats.bytes -= this.cache.get(id).size;
+        }
+
         // Add to cache with metadata
         this.cache.set(id, {
             content,
             added: Date.now(),
             lastAccessed: Date.now(),
-            size: this.estimateSize(content)
+            size
         });
 
         // Update stats
         this.stats.size = this.cache.size;
+        this.stats.bytes += size;
 
         // Check if cleanup needed
         if (this.shouldCleanup()) {
@@ -96,18 +172,32 @@ export class CacheManager {
     /**
      * Preloads content
      * @param {string|Array} ids - Content ID(s) to preload
+     * @param {Object} [options] - Preload options
+     * @param {number} [options.priority] - Queue priority, lower loads first
+     * @param {AbortSignal} [options.signal] - Removes queued ids and aborts their requests
      */
-    async preloadContent(ids) {
-        // Convert single ID to array
-        const idArray = Array.isArray(ids) ? ids : [ids];
+    async preloadContent(ids, { priority = 0, signal = null } = {}) {
+        // Convert single ID to array, skipping nodes without content
+        const idArray = (Array.isArray(ids) ? ids : [ids]).filter(Boolean);
+        if (signal?.aborted) return;
         
-        // Add to preload queue
+        // Add to preload queue, keeping the most urgent priority
         idArray.forEach(id => {
-            if (!this.cache.has(id) && !this.preloadQueue.has(id)) {
-                this.preloadQueue.add(id);
+            if (this.cache.has(id)) return;
+
+            const queued = this.preloadQueue.get(id);
+            if (!queued || priority < queued.priority) {
+                this.preloadQueue.set(id, { priority, signal });
             }
         });
 
+        // Drop ids that are still waiting when the preload is cancelled
+        signal?.addEventListener('abort', () => {
+            this.preloadQueue.forEach((queued, id) => {
+                if (queued.signal === signal) this.preloadQueue.delete(id);
+            });
+        }, { once: true });
+
         // Start preloading if not already loading
         if (!this.isLoading) {
             this.processPreloadQueue();
@@ -125,18 +215,22 @@ export class CacheManager {
 
         try {
             // Get next batch from queue
-            const batch = this.getBatch();
+            let batch = this.getBatch();
 
             // Load in parallel with delay between batches
             while (batch.size > 0) {
-                const promises = Array.from(batch).map(async id => {
+                const promises = Array.from(batch).map(async ([id, { signal }]) => {
                     try {
-                        const content = await this.fetchContent(id);
-                        this.set(id, content);
+                        await this.loadShared(id, signal);
                     } catch (error) {
-                        console.warn(`Failed to preload content ${id}:`, error);
+                        if (error.name !== 'AbortError') {
+                            console.warn(`Failed to preload content ${id}:`, error);
+                        }
                     } finally {
-                        this.preloadQueue.delete(id);
+                        // A newer request may have re-queued the id
+                        if (this.preloadQueue.get(id)?.signal === signal) {
+                            this.preloadQueue.delete(id);
+                        }
                     }
                 });
 
@@ -148,6 +242,8 @@ export class CacheManager {
                         setTimeout(resolve, this.config.cache.preloadDelay)
                     );
                 }
+
+                batch = this.getBatch();
             }
 
         } finally {
@@ -161,66 +257,274 @@ export class CacheManager {
      */
     getBatch() {
         const batchSize = this.config.performance.batchSize;
-        const batch = new Set();
-        let count = 0;
 
-        for (const id of this.preloadQueue) {
-            if (count >= batchSize) break;
-            batch.add(id);
-            count++;
+        // Skip ids that were cached while waiting
+        const entries = Array.from(this.preloadQueue.entries())
+            .filter(([id]) => {
+                if (!this.cache.has(id)) return true;
+                this.preloadQueue.delete(id);
+                return false;
+            })
+            .sort(([, a], [, b]) => a.priority - b.priority);
+
+        return new Map(entries.slice(0, batchSize));
+    }
+
+    /**
+     * Loads content from persistent storage or the server
+     * Stale stored content is returned at once and revalidated in the background
+     * @private
+     */
+    async loadContent(id, signal = null) {
+        const stored = await this.persistent.get(id);
+        if (stored) {
+            this.stats.persistentHits++;
+            if (stored.isStale) {
+                this.revalidate(id, stored.version);
+            }
+            return stored.content;
         }
 
-        return batch;
+        const content = await this.fetchContent(id, signal);
+        if (this.isPersistable(content)) {
+            this.persistent.set(id, content, this.estimateSize(content));
+        }
+        return content;
+    }
+
+    /**
+     * Refetches stored content and replaces it when its version changed
+     * @private
+     */
+    async revalidate(id, version) {
+        if (this.revalidating.has(id)) return;
+        this.revalidating.add(id);
+
+        try {
+            const content = await this.fetchContent(id);
+
+            if (content.version === version) {
+                await this.persistent.touch(id);
+                return;
+            }
+
+            this.set(id, content);
+            if (this.isPersistable(content)) {
+                await this.persistent.set(id, content, this.estimateSize(content));
+            } else {
+                // Content became restricted, drop the stored public copy
+                await this.persistent.delete(id);
+            }
+
+            this.parent.container.dispatchEvent(new CustomEvent('content:updated', {
+                detail: { id, version: content.version },
+                bubbles: true
+            }));
+
+        } catch (error) {
+            // Keep serving the stored copy
+            console.warn(`Failed to revalidate content ${id}:`, error);
+        } finally {
+            this.revalidating.delete(id);
+        }
     }
 
     /**
      * Fetches content from server
      * @private
      */
-    async fetchContent(id) {
+    async fetchContent(id, signal = null) {
+        if (String(id).startsWith('term:')) {
+            const [, taxonomy, termId] = String(id).split(':');
+            return this.fetchTermPreview(taxonomy, termId, signal);
+        }
+
         try {
-            const response = await fetch(
-                `/wp-json/my-custom-route/v1/elementor-content/${id}`
+            const data = await this.parent.requests.fetchJSON(
+                `/wp-json/my-custom-route/v1/elementor-content/${id}`,
+                { signal }
             );
+            return this.processContent(data);
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+        } catch (error) {
+            // Restricted content is an expected outcome, not a failure
+            if (error instanceof AuthError) {
+                return this.processRestricted(error);
             }
 
-            const data = await response.json();
-            return this.processContent(data);
+            if (error.name !== 'AbortError') {
+                console.error(`Failed to fetch content ${id}:`, error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches a term archive preview
+     * @private
+     */
+    async fetchTermPreview(taxonomy, termId, signal = null) {
+        const taxonomyBase = getTaxonomyRestBase(taxonomy);
+        const postType = this.parent.postType;
+
+        try {
+            const requests = [
+                this.parent.requests.fetchJSON(`/wp-json/wp/v2/${taxonomyBase}/${termId}`, { signal })
+            ];
+            if (postType) {
+                requests.push(this.parent.requests.fetchJSON(
+                    `/wp-json/wp/v2/${getPostTypeRestBase(postType)}?` +
+                    new URLSearchParams({
+                        [taxonomyBase]: termId,
+                        per_page: this.config.cache.termPreviewPosts,
+                        _fields: 'id,title,link'
+                    }),
+                    { signal }
+                ));
+            }
+
+            const [term, posts = []] = await Promise.all(requests);
+            return this.processTermPreview(term, posts);
 
         } catch (error) {
-            console.error(`Failed to fetch content ${id}:`, error);
+            if (error.name !== 'AbortError') {
+                console.error(`Failed to fetch term preview ${taxonomy}:${termId}:`, error);
+            }
             throw error;
         }
     }
 
+    /**
+     * Builds term preview markup in the same shape as post content
+     * @private
+     */
+    processTermPreview(term, posts) {
+        const preview = document.createElement('div');
+        preview.className = 'term-preview';
+
+        const title = document.createElement('h2');
+        title.className = 'term-preview-title';
+        const titleLink = document.createElement('a');
+        titleLink.href = term.link;
+        titleLink.textContent = term.name;
+        title.appendChild(titleLink);
+        preview.appendChild(title);
+
+        if (term.description) {
+            const description = document.createElement('div');
+            description.className = 'term-preview-description';
+            description.textContent = term.description;
+            preview.appendChild(description);
+        }
+
+        if (posts.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'term-preview-posts';
+            posts.forEach(post => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = post.link;
+                link.textContent = decodeEntities(post.title.rendered);
+                item.appendChild(link);
+                list.appendChild(item);
+            });
+            preview.appendChild(list);
+        }
+
+        return {
+            html: preview.outerHTML,
+            styles: [],
+            scripts: [],
+            version: term.count,
+            processed: Date.now()
+        };
+    }
+
     /**
      * Processes fetched content
      * @private
      */
     processContent(data) {
-        // Create a temporary container
-        const tempContainer = document.createElement('div');
-        tempContainer.innerHTML = data.content;
-
-        // Process styles
-        const styles = Array.from(tempContainer.querySelectorAll('style'))
-            .map(style => style.outerHTML)
-            .join('');
+        // Sanitize once so cached content is always safe to render
+        const { html, styles, scripts } = sanitizeHTML(data.content || '', this.config.sanitize);
 
         // Get main content
-        const elementorContent = tempContainer.querySelector('.elementor')?.outerHTML 
-            || data.content;
+        const elementorContent = new DOMParser()
+            .parseFromString(html, 'text/html')
+            .querySelector('.elementor')?.outerHTML || html;
+
+        // Only visible to this session, e.g. previews or unlocked passwords
+        const sessionOnly = (data.status && data.status !== 'publish') ||
+            data.protected === true ||
+            data.password_protected === true;
 
         return {
-            html: styles + elementorContent,
+            html: elementorContent,
+            styles,
+            scripts,
+            sessionOnly,
+            public: data.public === true,
             version: data.version,
             processed: Date.now()
         };
     }
 
+    /**
+     * Builds a typed result for 401/403 responses
+     * Holds no content HTML, only why access was refused
+     * @private
+     */
+    async processRestricted(error) {
+        const body = await error.response?.json().catch(() => null);
+        const code = body?.code || '';
+
+        let reason = error.status === 401 ? 'login' : 'forbidden';
+        if (code.includes('password') || body?.data?.password_required) {
+            reason = 'password';
+        }
+
+        return {
+            html: '',
+            styles: [],
+            scripts: [],
+            restricted: {
+                reason,
+                status: error.status,
+                code: code || null,
+                message: typeof body?.message === 'string' ? body.message : null
+            },
+            version: null,
+            processed: Date.now()
+        };
+    }
+
+    /**
+     * Checks whether content may be stored across sessions
+     * Restricted results, drafts, private and unlocked password content stay in memory,
+     * as does anything fetched while logged in unless the server marks it public
+     * @private
+     */
+    isPersistable(content) {
+        if (content.restricted || content.sessionOnly) return false;
+        return getSessionUser() === 0 || content.public === true;
+    }
+
+    /**
+     * Removes content from every cache tier
+     * Used after unlocking so the next request refetches
+     * @param {string} id - Content ID
+     * @returns {Promise<void>}
+     */
+    async invalidate(id) {
+        const entry = this.cache.get(id);
+        if (entry) {
+            this.cache.delete(id);
+            this.stats.bytes -= entry.size;
+            this.stats.size = this.cache.size;
+        }
+        await this.persistent.delete(id);
+    }
+
     /**
      * Estimates content size
      * @private
@@ -235,43 +539,110 @@ export class CacheManager {
      */
     shouldCleanup() {
         const timeSinceCleanup = Date.now() - this.stats.lastCleanup;
-        return this.cache.size > this.config.cache.maxSize ||
+        return this.isOverBudget() ||
                timeSinceCleanup > 300000; // 5 minutes
     }
 
     /**
-     * Cleans up old cache entries
+     * Checks entry count and bytes against their limits
      * @private
      */
-    cleanup() {
-        if (this.cache.size <= this.config.cache.maxSize) return;
+    isOverBudget() {
+        return this.cache.size > this.config.cache.maxSize ||
+               this.stats.bytes > this.getHighWaterMark();
+    }
+
+    /**
+     * Gets the memory budget of the active display profile
+     * @returns {number} Budget in bytes
+     */
+    getByteBudget() {
+        const profile = this.parent.display.getActiveProfile();
+        return profile.cache?.maxBytes ?? this.config.cache.maxBytes;
+    }
 
-        // Sort entries by last accessed time
-        const entries = Array.from(this.cache.entries())
-            .sort(([, a], [, b]) => a.lastAccessed - b.lastAccessed);
+    /**
+     * Gets the byte level that triggers eviction
+     * @private
+     */
+    getHighWaterMark() {
+        return this.getByteBudget() * this.config.cache.cleanupThreshold;
+    }
 
-        // Remove oldest entries until under max size
-        const removeCount = this.cache.size - this.config.cache.maxSize;
-        entries.slice(0, removeCount).forEach(([id]) => {
-            this.cache.delete(id);
-        });
+    /**
+     * Evicts least recently used entries until under budget
+     * The selected node and its neighbours are never evicted
+     */
+    cleanup() {
+        if (this.isOverBudget()) {
+            const pinned = this.getPinnedKeys();
+
+            // Sort entries by last accessed time
+            const entries = Array.from(this.cache.entries())
+                .filter(([id]) => !pinned.has(id))
+                .sort(([, a], [, b]) => a.lastAccessed - b.lastAccessed);
+
+            // Remove oldest entries until under max size and high-water mark
+            for (const [id, entry] of entries) {
+                if (!this.isOverBudget()) break;
+
+                this.cache.delete(id);
+                this.stats.bytes -= entry.size;
+                this.stats.evictions++;
+                this.stats.evictedBytes += entry.size;
+            }
+        }
 
         // Update stats
         this.stats.size = this.cache.size;
         this.stats.lastCleanup = Date.now();
     }
 
+    /**
+     * Gets content keys of the selected node, its parent, children and siblings
+     * @private
+     */
+    getPinnedKeys() {
+        const selected = this.parent.state.getSelectedNode();
+        if (!selected) return new Set();
+
+        const nodes = [
+            selected,
+            selected.parent,
+            ...(selected.children || []),
+            ...(selected.parent?.children || [])
+        ];
+
+        return new Set(
+            nodes
+                .filter(Boolean)
+                .map(node => this.getContentKey(node.data))
+                .filter(Boolean)
+        );
+    }
+
     /**
      * Gets cache stats
      */
     getStats() {
         return {
             ...this.stats,
+            byteBudget: this.getByteBudget(),
             preloadQueueSize: this.preloadQueue.size,
-            isLoading: this.isLoading
+            isLoading: this.isLoading,
+            persistent: this.persistent.getStats()
         };
     }
 
+    /**
+     * Clears memory and persistent storage
+     * @returns {Promise<void>}
+     */
+    async purge() {
+        this.clear();
+        await this.persistent.purge();
+    }
+
     /**
      * Clears all cache
      */
@@ -284,7 +655,11 @@ export class CacheManager {
         this.stats = {
             hits: 0,
             misses: 0,
+            persistentHits: 0,
             size: 0,
+            bytes: 0,
+            evictions: 0,
+            evictedBytes: 0,
             lastCleanup: Date.now()
         };
     }
@@ -294,5 +669,16 @@ export class CacheManager {
      */
     destroy() {
         this.clear();
+        this.revalidating.clear();
+        this.persistent.destroy();
     }
+}
+
+/**
+ * Gets the logged-in user from circularNavData.userId, 0 for visitors
+ * @private
+ */
+function getSessionUser() {
+    if (typeof circularNavData === 'undefined') return 0;
+    return Number(circularNavData.userId) || 0;
 }
\ No newline at end of file
@@ -4,7 +4,7 @@
  */
 
 import { performance } from '../utils/performance';
-import { calculateTextWidth } from '../utils/calculations';
+import { calculateTextWidth, getArcExtent, calculateArcBounds } from '../utils/calculations';
 
 export class DisplayManager {
     constructor(parent) {
@@ -42,6 +42,7 @@ export class DisplayManager {
             width: this.calculateWidth(rect, profile),
             height: this.calculateHeight(rect, profile),
             radius: this.calculateRadius(rect, profile),
+            arc: this.calculateArc(),
             text: this.calculateTextSizes(rect, profile),
             nodes: this.calculateNodeSizes(rect, profile),
             indicators: this.calculateIndicatorSizes(rect, profile)
@@ -65,6 +66,14 @@ export class DisplayManager {
         return this.config.profiles.desktop;
     }
 
+    /**
+     * Gets the content panel layout of the active profile
+     * @returns {string} 'drawer' or 'bottom-sheet'
+     */
+    getContentPanelMode() {
+        return this.getActiveProfile().contentPanel?.mode || 'drawer';
+    }
+
     /**
      * Calculate container width
      * @private
@@ -89,11 +98,15 @@ export class DisplayManager {
 
     /**
      * Calculate visualization radius
+     * The arc's bounding box fills 70% of the container, a full circle is 35% of the smallest dimension
      * @private
      */
     calculateRadius(rect, profile) {
-        const minDimension = Math.min(rect.width, rect.height);
-        const baseRadius = minDimension * 0.35; // 35% of smallest dimension
+        const { x0, y0, x1, y1 } = calculateArcBounds(getArcExtent(this.config.arc));
+        const baseRadius = Math.min(
+            rect.width * 0.7 / (x1 - x0),
+            rect.height * 0.7 / (y1 - y0)
+        );
         
         return Math.max(
             this.config.node.central.minSize * 1.5,
@@ -101,6 +114,32 @@ export class DisplayManager {
         );
     }
 
+    /**
+     * Converts a layout radius to pixels
+     * Layouts place the centre at 0 and the outer ring at 1
+     * @param {number} y - Layout radius, e.g. node.y
+     * @returns {number} Radius in viewBox units
+     */
+    scaleRadius(y) {
+        return y * (this.lastDimensions?.radius ?? 0);
+    }
+
+    /**
+     * Calculate the angular extent and its unit bounding box
+     * Outer labels are the widest thing past the arc, so they set the margin
+     * @private
+     */
+    calculateArc() {
+        const extent = getArcExtent(this.config.arc);
+        const { indicator, text } = this.config;
+
+        return {
+            ...extent,
+            bounds: calculateArcBounds(extent),
+            margin: indicator.outer.radius + text.spacing.base * 2 + text.spacing.side
+        };
+    }
+
     /**
      * Calculate text sizes
      * @private
@@ -213,6 +252,12 @@ export class DisplayManager {
     handleResize() {
         const newProfile = this.getActiveProfile();
         const newDimensions = this.calculateDimensions();
+
+        // Panel layout and cache budget follow the profile, not the container size
+        if (newProfile !== this.currentProfile) {
+            this.parent.content.updateLayout();
+            this.parent.cache.cleanup();
+        }
         
         // Check for significant changes
         if (this.hasSignificantChanges(newDimensions)) {
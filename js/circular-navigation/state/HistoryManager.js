@@ -0,0 +1,286 @@
+/**
+ * History Manager
+ * Syncs selection, drill-down root and zoom with the URL for deep linking
+ */
+
+export class HistoryManager {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+        this.options = parent.config.history;
+
+        // Set while applying a URL so the resulting state changes are not pushed back
+        this.isRestoring = false;
+        this.pendingWrite = null;
+        this.zoomTimer = null;
+
+        // Bind methods
+        this.handlePopState = this.handlePopState.bind(this);
+        this.handleSelectionChange = this.handleSelectionChange.bind(this);
+        this.handleDrillChange = this.handleDrillChange.bind(this);
+        this.handleZoomChange = this.handleZoomChange.bind(this);
+    }
+
+    /**
+     * Restores the position from the URL and starts syncing
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (!this.options.enabled) return;
+
+        await this.restore(this.read());
+
+        window.addEventListener('popstate', this.handlePopState);
+        this.parent.container.addEventListener('drill:change', this.handleDrillChange);
+        this.parent.state.on('selectedNodeChange', this.handleSelectionChange);
+        if (this.options.includeZoom) {
+            this.parent.state.on('zoomLevelChange', this.handleZoomChange);
+        }
+    }
+
+    /**
+     * Checks whether the URL names a position to restore
+     * @returns {boolean}
+     */
+    hasPosition() {
+        if (!this.options.enabled) return false;
+
+        const { node, root } = this.read();
+        return !!(node || root);
+    }
+
+    /**
+     * Reads the navigation position from the URL
+     * @returns {Object} { node, root, zoom } tokens, null when absent
+     */
+    read() {
+        const params = this.getParams(new URL(window.location.href));
+        const { param } = this.options;
+        const zoom = parseFloat(params.get(`${param}-zoom`));
+
+        return {
+            node: params.get(param),
+            root: params.get(`${param}-root`),
+            zoom: Number.isFinite(zoom) ? zoom : null
+        };
+    }
+
+    /**
+     * Applies a navigation position
+     * @param {Object} position - Tokens from read()
+     * @returns {Promise<void>}
+     */
+    async restore({ node, root, zoom }) {
+        this.isRestoring = true;
+
+        try {
+            await this.restoreRoot(root);
+            await this.restoreSelection(node);
+
+            if (zoom !== null && this.options.includeZoom) {
+                await this.parent.zoom.scaleTo(zoom, 0);
+            }
+
+        } finally {
+            this.isRestoring = false;
+        }
+    }
+
+    /**
+     * Drills to the root named in the URL, or back to the top-level root
+     * @private
+     */
+    async restoreRoot(token) {
+        if (!this.options.includeDrill) return;
+
+        const drill = this.parent.drill;
+        const target = token ? drill.findNode(token)?.data : drill.path[0];
+        if (!target || target === drill.getCurrentRoot()) return;
+
+        await drill.drillTo(target.id);
+    }
+
+    /**
+     * Selects the node named in the URL, drilling if it is below the wheel
+     * @private
+     */
+    async restoreSelection(token) {
+        if (!token) {
+            if (this.parent.state.getSelectedNode()) {
+                await this.parent.state.updateState({ selectedNode: null });
+            }
+            return;
+        }
+
+        const node = await this.parent.drill.reveal(token);
+        if (node && node !== this.parent.state.getSelectedNode()) {
+            await this.parent.state.updateState({ selectedNode: node });
+        }
+    }
+
+    /**
+     * Handles back/forward navigation
+     * @private
+     */
+    handlePopState() {
+        this.cancelWrite();
+
+        const position = this.read();
+        this.parent.scheduler.schedule({
+            type: 'history',
+            run: () => this.restore(position)
+        });
+    }
+
+    /**
+     * Pushes an entry for user selections
+     * @private
+     */
+    handleSelectionChange() {
+        if (!this.isRestoring) this.scheduleWrite('push');
+    }
+
+    /**
+     * Pushes an entry for drill-down changes
+     * @private
+     */
+    handleDrillChange() {
+        if (!this.isRestoring) this.scheduleWrite('push');
+    }
+
+    /**
+     * Replaces the current entry for zoom, which changes too often to push
+     * Debounced because browsers throttle rapid history updates
+     * @private
+     */
+    handleZoomChange() {
+        if (this.isRestoring) return;
+
+        clearTimeout(this.zoomTimer);
+        this.zoomTimer = setTimeout(() => this.scheduleWrite('replace'), this.options.zoomDelay);
+    }
+
+    /**
+     * Batches changes from one interaction into a single history entry
+     * A re-root clears selection as well, which must not add a second entry
+     * @private
+     */
+    scheduleWrite(method) {
+        if (this.pendingWrite) {
+            if (method === 'push') this.pendingWrite.method = 'push';
+            return;
+        }
+
+        this.pendingWrite = { method };
+        queueMicrotask(() => {
+            const pending = this.pendingWrite;
+            this.pendingWrite = null;
+            if (pending) this.write(pending.method);
+        });
+    }
+
+    /**
+     * Drops a scheduled write
+     * @private
+     */
+    cancelWrite() {
+        this.pendingWrite = null;
+        clearTimeout(this.zoomTimer);
+    }
+
+    /**
+     * Writes the current position to the URL
+     * @private
+     * @param {string} method - 'push' or 'replace'
+     */
+    write(method) {
+        const url = this.buildUrl();
+        if (url.href === window.location.href) return;
+
+        const state = { ...history.state, circularNav: this.parent.id };
+        if (method === 'push') {
+            history.pushState(state, '', url);
+        } else {
+            history.replaceState(state, '', url);
+        }
+    }
+
+    /**
+     * Builds a URL for the current position, keeping unrelated parameters
+     * @private
+     */
+    buildUrl() {
+        const { param, includeDrill, includeZoom } = this.options;
+        const url = new URL(window.location.href);
+        const params = this.getParams(url);
+
+        // A plain #section fragment belongs to the page, it is left alone
+        if (this.options.mode !== 'query' && !isParamHash(url.hash)) return url;
+
+        const selected = this.parent.state.getSelectedNode();
+        const root = this.parent.drill.canDrillUp() ? this.parent.drill.getCurrentRoot() : null;
+        const zoom = this.parent.state.state.zoomLevel;
+
+        setParam(params, param, selected && this.getToken(selected.data));
+        setParam(params, `${param}-root`, includeDrill && root && this.getToken(root));
+        setParam(params, `${param}-zoom`, includeZoom && zoom !== 1 && zoom.toFixed(2));
+
+        if (this.options.mode === 'query') {
+            url.search = params.toString();
+        } else {
+            url.hash = params.toString();
+        }
+        return url;
+    }
+
+    /**
+     * Gets the parameters holding navigation state
+     * @private
+     */
+    getParams(url) {
+        if (this.options.mode === 'query') return new URLSearchParams(url.search);
+
+        return isParamHash(url.hash) ?
+            new URLSearchParams(url.hash.slice(1)) :
+            new URLSearchParams();
+    }
+
+    /**
+     * Gets the URL token of a node, preferring its slug
+     * @private
+     */
+    getToken(nodeData) {
+        return nodeData.slug || String(nodeData.id);
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.cancelWrite();
+        window.removeEventListener('popstate', this.handlePopState);
+        this.parent.container.removeEventListener('drill:change', this.handleDrillChange);
+        this.parent.state.off('selectedNodeChange', this.handleSelectionChange);
+        this.parent.state.off('zoomLevelChange', this.handleZoomChange);
+    }
+}
+
+/**
+ * Checks whether a fragment is empty or holds parameters
+ * @private
+ */
+function isParamHash(hash) {
+    return hash.length <= 1 || hash.includes('=');
+}
+
+/**
+ * Sets or removes a URL parameter
+ * @private
+ */
+function setParam(params, key, value) {
+    if (value) {
+        params.set(key, value);
+    } else {
+        params.delete(key);
+    }
+}
\ No newline at end of file
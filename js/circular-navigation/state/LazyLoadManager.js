@@ -0,0 +1,197 @@
+/**
+ * Lazy Load Manager
+ * Loads children on demand and merges them into the hierarchy
+ */
+
+export class LazyLoadManager {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+
+        // In-flight child requests by node ID
+        this.pending = new Map();
+    }
+
+    /**
+     * Checks whether lazy loading is active for the data source
+     * @returns {boolean}
+     */
+    isEnabled() {
+        const dataSource = this.parent.state.dataSource;
+        return !!this.config.dataSource?.lazy && dataSource.constructor.supportsLazy;
+    }
+
+    /**
+     * Checks whether a node's children still have to be fetched or laid out
+     * Prefetched children are in the raw data but not yet in the hierarchy
+     * @param {Object} node - D3 hierarchy node
+     * @returns {boolean}
+     */
+    needsChildren(node) {
+        if (!this.isEnabled() || !node) return false;
+        return node.data.childrenLoaded === false ||
+            (!node.children && !!node.data.children?.length);
+    }
+
+    /**
+     * Fetches a node's children without rendering them
+     * Used on hover, the re-layout waits until the node is activated
+     * Failures are reported as warnings by fetchChildren()
+     * @param {Object} node - D3 hierarchy node
+     */
+    prefetch(node) {
+        if (!this.isEnabled() || node?.data.childrenLoaded !== false) return;
+
+        this.loadInto(node.data);
+    }
+
+    /**
+     * Loads a node's children and animates them into the visualization
+     * @param {Object} node - D3 hierarchy node
+     * @returns {Promise<Object>} Matching node of the updated hierarchy
+     */
+    async requestChildren(node) {
+        if (!this.needsChildren(node)) return node;
+
+        const id = node.data.id;
+        this.setLoading(id, true);
+
+        try {
+            // A hover prefetch may have merged the children already
+            const loaded = node.data.childrenLoaded === false ?
+                await this.loadInto(node.data) :
+                true;
+
+            // Re-layout the current root with the merged children, leaves have nothing to add
+            if (loaded && node.data.children?.length) {
+                await this.parent.viz.update(this.parent.drill.getCurrentRoot());
+            }
+
+        } finally {
+            this.setLoading(id, false);
+        }
+
+        return this.findNode(id) || node;
+    }
+
+    /**
+     * Makes sure a root's two visible rings are loaded
+     * Used before re-rooting, no rendering happens here
+     * @param {Object} rootData - Raw root node
+     * @returns {Promise<void>}
+     */
+    async ensureRings(rootData) {
+        if (!this.isEnabled()) return;
+
+        if (rootData.childrenLoaded === false) {
+            await this.loadInto(rootData);
+        }
+
+        await Promise.all(
+            rootData.children
+                .filter(child => child.childrenLoaded === false)
+                .map(child => this.loadInto(child))
+        );
+    }
+
+    /**
+     * Gets the IDs of nodes whose children were loaded on demand
+     * Ancestors come before descendants so expand() can replay the list
+     * @returns {Array} Node IDs
+     */
+    getExpanded() {
+        const root = this.parent.drill.path[0];
+        if (!root) return [];
+
+        return d3.hierarchy(root)
+            .descendants()
+            .filter(node => node.data.childrenLoaded === true)
+            .map(node => node.data.id);
+    }
+
+    /**
+     * Loads the children of the given nodes in order
+     * IDs that are unknown by the time their turn comes are skipped
+     * @param {Array} ids - Node IDs from getExpanded()
+     * @returns {Promise<void>}
+     */
+    async expand(ids) {
+        if (!this.isEnabled()) return;
+
+        for (const id of ids) {
+            const nodeData = this.parent.drill.findNode(id)?.data;
+            if (nodeData?.childrenLoaded === false) {
+                await this.loadInto(nodeData);
+            }
+        }
+    }
+
+    /**
+     * Fetches children into raw node data, sharing in-flight requests
+     * @private
+     * @returns {Promise<boolean>} Whether children were merged
+     */
+    loadInto(nodeData) {
+        const id = nodeData.id;
+
+        if (!this.pending.has(id)) {
+            const request = this.fetchChildren(nodeData)
+                .finally(() => this.pending.delete(id));
+            this.pending.set(id, request);
+        }
+
+        return this.pending.get(id);
+    }
+
+    /**
+     * Fetches and merges children
+     * @private
+     */
+    async fetchChildren(nodeData) {
+        try {
+            const children = await this.parent.state.dataSource.loadChildren(nodeData);
+
+            // Mutating the raw node keeps drill-down paths valid
+            nodeData.children = children;
+            nodeData.childrenLoaded = true;
+
+            this.parent.container.dispatchEvent(new CustomEvent('node:childrenloaded', {
+                detail: { id: nodeData.id, count: children.length },
+                bubbles: true
+            }));
+            return true;
+
+        } catch (error) {
+            this.parent.handleWarnings([{
+                type: 'load-failed',
+                id: nodeData.id,
+                message: `Failed to load children of ${nodeData.id}: ${error.message}`
+            }]);
+            return false;
+        }
+    }
+
+    /**
+     * Toggles loading indicators for a node
+     * @private
+     */
+    setLoading(id, isLoading) {
+        this.parent.nodes.setLoading(id, isLoading);
+        this.parent.outer.setLoading(id, isLoading);
+    }
+
+    /**
+     * Finds a node by ID in the current hierarchy
+     * @private
+     */
+    findNode(id) {
+        return this.parent.state.getData()?.find(node => node.data.id === id) || null;
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.pending.clear();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,429 @@
+/**
+ * Persistent Cache
+ * Stores processed content across page loads in IndexedDB or localStorage
+ */
+
+// Bump when the processed content format changes so old entries are ignored
+const FORMAT_VERSION = 2;
+
+export class PersistentCache {
+    /**
+     * @param {Object} options - config.cache.persistent
+     * @param {Object} [scope] - What stored entries belong to
+     * @param {number} [scope.user] - Logged-in user ID, 0 for visitors
+     * @param {string} [scope.policy] - Hash of the sanitize policy the entries were cleaned with
+     */
+    constructor(options = {}, { user = 0, policy = '' } = {}) {
+        this.options = options;
+        this.user = user;
+        this.policy = policy;
+        this.store = null;
+        this.ready = null;
+
+        // Entry metadata by id ({id, version, stored, accessed, size})
+        this.meta = new Map();
+    }
+
+    /**
+     * Opens the first available storage backend
+     * Safe to call repeatedly, resolves once
+     * @returns {Promise<void>}
+     */
+    open() {
+        if (!this.ready) {
+            this.ready = this.connect();
+        }
+        return this.ready;
+    }
+
+    /**
+     * Connects to a backend and loads entry metadata
+     * @private
+     */
+    async connect() {
+        if (!this.options.enabled) return;
+
+        // Each user gets their own store, so nothing leaks across sessions,
+        // and a changed sanitize policy starts an empty one
+        const name = `${this.options.name}-v${FORMAT_VERSION}-${this.policy}-u${this.user}`;
+        if (!this.claimScope(name)) return;
+
+        for (const Store of [IndexedDBStore, LocalStorageStore]) {
+            if (!Store.isAvailable()) continue;
+
+            try {
+                const store = new Store(name);
+                await store.open();
+                const entries = await store.readMeta();
+
+                entries.forEach(meta => this.meta.set(meta.id, meta));
+                this.store = store;
+                return;
+
+            } catch (error) {
+                console.warn(`Persistent cache backend ${Store.type} unavailable:`, error);
+            }
+        }
+    }
+
+    /**
+     * Records the active store and removes the one used before it
+     * A shared browser keeps one user's entries at a time per sanitize policy,
+     * instances with different policies keep their own stores side by side
+     * @private
+     * @returns {boolean} Whether the scope could be recorded, nothing is stored otherwise
+     */
+    claimScope(name) {
+        const key = `${this.options.name}-${this.policy}:scope`;
+        let previous;
+
+        try {
+            previous = localStorage.getItem(key);
+            localStorage.setItem(key, name);
+        } catch (error) {
+            return false;
+        }
+
+        if (previous && previous !== name) {
+            [IndexedDBStore, LocalStorageStore]
+                .filter(Store => Store.isAvailable())
+                .forEach(Store => {
+                    // Not awaited, deleting a database waits for other tabs to close it
+                    Store.destroy(previous).catch(error => {
+                        console.warn(`Failed to remove cached content of ${previous}:`, error);
+                    });
+                });
+        }
+        return true;
+    }
+
+    /**
+     * Reads a stored entry
+     * @param {string} id - Content ID
+     * @returns {Promise<Object|null>} { content, version, isStale } or null on miss
+     */
+    async get(id) {
+        await this.open();
+
+        const meta = this.meta.get(id);
+        if (!this.store || !meta) return null;
+
+        try {
+            const content = await this.store.read(id);
+            if (content === undefined || content === null) {
+                this.meta.delete(id);
+                return null;
+            }
+
+            // Access times only live in memory to avoid a write per read
+            meta.accessed = Date.now();
+
+            return {
+                content,
+                version: meta.version,
+                isStale: Date.now() - meta.stored > this.options.ttl
+            };
+
+        } catch (error) {
+            console.warn(`Failed to read cached content ${id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Stores an entry, evicting older entries to stay within the byte budget
+     * @param {string} id - Content ID
+     * @param {Object} content - Processed content
+     * @param {number} size - Estimated size in bytes
+     * @returns {Promise<void>}
+     */
+    async set(id, content, size) {
+        await this.open();
+        if (!this.store || size > this.options.maxBytes) return;
+
+        const now = Date.now();
+        const meta = {
+            id,
+            version: content.version ?? null,
+            stored: now,
+            accessed: now,
+            size
+        };
+
+        try {
+            await this.evict(size, id);
+            await this.store.write(meta, content);
+            this.meta.set(id, meta);
+        } catch (error) {
+            console.warn(`Failed to persist content ${id}:`, error);
+        }
+    }
+
+    /**
+     * Removes a stored entry
+     * @param {string} id - Content ID
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        await this.open();
+        if (!this.store || !this.meta.has(id)) return;
+
+        this.meta.delete(id);
+        try {
+            await this.store.remove([id]);
+        } catch (error) {
+            console.warn(`Failed to remove cached content ${id}:`, error);
+        }
+    }
+
+    /**
+     * Marks an entry as fresh after revalidation found no change
+     * @param {string} id - Content ID
+     * @returns {Promise<void>}
+     */
+    async touch(id) {
+        const meta = this.meta.get(id);
+        if (!this.store || !meta) return;
+
+        meta.stored = Date.now();
+        try {
+            await this.store.writeMeta(meta);
+        } catch (error) {
+            console.warn(`Failed to refresh cached content ${id}:`, error);
+        }
+    }
+
+    /**
+     * Removes least recently used entries until the new entry fits
+     * @private
+     */
+    async evict(incomingSize, incomingId) {
+        const entries = [...this.meta.values()]
+            .filter(meta => meta.id !== incomingId)
+            .sort((a, b) => a.accessed - b.accessed);
+
+        let total = entries.reduce((sum, meta) => sum + meta.size, 0) + incomingSize;
+        const removed = [];
+
+        while (total > this.options.maxBytes && entries.length > 0) {
+            const oldest = entries.shift();
+            total -= oldest.size;
+            removed.push(oldest.id);
+        }
+
+        if (removed.length > 0) {
+            removed.forEach(id => this.meta.delete(id));
+            await this.store.remove(removed);
+        }
+    }
+
+    /**
+     * Removes every stored entry
+     * @returns {Promise<void>}
+     */
+    async purge() {
+        await this.open();
+
+        this.meta.clear();
+        if (this.store) {
+            await this.store.clear();
+        }
+    }
+
+    /**
+     * Gets storage stats
+     */
+    getStats() {
+        let bytes = 0;
+        this.meta.forEach(meta => { bytes += meta.size; });
+
+        return {
+            backend: this.store?.constructor.type || null,
+            entries: this.meta.size,
+            bytes,
+            maxBytes: this.options.maxBytes
+        };
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.store?.close();
+        this.store = null;
+        this.ready = null;
+        this.meta.clear();
+    }
+}
+
+/**
+ * IndexedDB backend
+ * Metadata and content live in separate stores so budgeting never loads content
+ * @private
+ */
+class IndexedDBStore {
+    static type = 'indexeddb';
+
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    static destroy(name) {
+        return requestToPromise(indexedDB.deleteDatabase(name));
+    }
+
+    constructor(name) {
+        this.name = name;
+        this.db = null;
+    }
+
+    async open() {
+        const request = indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore('meta', { keyPath: 'id' });
+            request.result.createObjectStore('content');
+        };
+        this.db = await requestToPromise(request);
+    }
+
+    readMeta() {
+        const tx = this.db.transaction('meta', 'readonly');
+        return requestToPromise(tx.objectStore('meta').getAll());
+    }
+
+    read(id) {
+        const tx = this.db.transaction('content', 'readonly');
+        return requestToPromise(tx.objectStore('content').get(id));
+    }
+
+    write(meta, content) {
+        const tx = this.db.transaction(['meta', 'content'], 'readwrite');
+        tx.objectStore('meta').put(meta);
+        tx.objectStore('content').put(content, meta.id);
+        return transactionToPromise(tx);
+    }
+
+    writeMeta(meta) {
+        const tx = this.db.transaction('meta', 'readwrite');
+        tx.objectStore('meta').put(meta);
+        return transactionToPromise(tx);
+    }
+
+    remove(ids) {
+        const tx = this.db.transaction(['meta', 'content'], 'readwrite');
+        ids.forEach(id => {
+            tx.objectStore('meta').delete(id);
+            tx.objectStore('content').delete(id);
+        });
+        return transactionToPromise(tx);
+    }
+
+    clear() {
+        const tx = this.db.transaction(['meta', 'content'], 'readwrite');
+        tx.objectStore('meta').clear();
+        tx.objectStore('content').clear();
+        return transactionToPromise(tx);
+    }
+
+    close() {
+        this.db?.close();
+        this.db = null;
+    }
+}
+
+/**
+ * localStorage fallback
+ * Metadata is kept in a single key, content in one key per entry
+ * @private
+ */
+class LocalStorageStore {
+    static type = 'localstorage';
+
+    static isAvailable() {
+        try {
+            return typeof localStorage !== 'undefined';
+        } catch (error) {
+            // Accessing localStorage throws when storage is blocked
+            return false;
+        }
+    }
+
+    static async destroy(name) {
+        const prefix = `${name}:`;
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => localStorage.removeItem(key));
+    }
+
+    constructor(name) {
+        this.prefix = `${name}:`;
+        this.meta = {};
+    }
+
+    async open() {
+        this.meta = JSON.parse(localStorage.getItem(`${this.prefix}meta`) || '{}');
+    }
+
+    async readMeta() {
+        return Object.values(this.meta);
+    }
+
+    async read(id) {
+        const value = localStorage.getItem(this.prefix + id);
+        return value === null ? null : JSON.parse(value);
+    }
+
+    async write(meta, content) {
+        localStorage.setItem(this.prefix + meta.id, JSON.stringify(content));
+        await this.writeMeta(meta);
+    }
+
+    async writeMeta(meta) {
+        this.meta[meta.id] = meta;
+        this.saveMeta();
+    }
+
+    async remove(ids) {
+        ids.forEach(id => {
+            localStorage.removeItem(this.prefix + id);
+            delete this.meta[id];
+        });
+        this.saveMeta();
+    }
+
+    async clear() {
+        Object.keys(this.meta).forEach(id => localStorage.removeItem(this.prefix + id));
+        this.meta = {};
+        localStorage.removeItem(`${this.prefix}meta`);
+    }
+
+    saveMeta() {
+        localStorage.setItem(`${this.prefix}meta`, JSON.stringify(this.meta));
+    }
+
+    close() {
+        this.meta = {};
+    }
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @private
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolves when an IDBTransaction completes
+ * @private
+ */
+function transactionToPromise(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+}
\ No newline at end of file
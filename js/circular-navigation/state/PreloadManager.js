@@ -0,0 +1,135 @@
+/**
+ * Preload Manager
+ * Predicts which content is needed next and queues it in the cache
+ */
+
+export class PreloadManager {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+
+        // Aborted whenever selection moves so stale preloads stop
+        this.controller = null;
+        this.hoverTimers = new Map();
+    }
+
+    /**
+     * Queues content around a selected node by priority
+     * Children first, then siblings, then the parent
+     * @param {Object} node - Selected D3 hierarchy node, null to only cancel
+     */
+    preloadAround(node) {
+        this.cancel();
+        if (!node) return;
+
+        let remaining = this.getLimit();
+        if (remaining === 0) return;
+
+        const siblings = (node.parent?.children || []).filter(sibling => sibling !== node);
+        const tiers = [
+            node.children || [],
+            siblings,
+            node.parent ? [node.parent] : []
+        ];
+
+        const signal = this.getSignal();
+        tiers.forEach((nodes, index) => {
+            const keys = this.getContentKeys(nodes).slice(0, remaining);
+            if (keys.length === 0) return;
+
+            remaining -= keys.length;
+            this.parent.cache.preloadContent(keys, { priority: index + 1, signal });
+        });
+    }
+
+    /**
+     * Starts the hover-intent timer for a node
+     * @param {Object} node - Hovered D3 hierarchy node
+     */
+    hoverStart(node) {
+        if (this.hoverTimers.has(node) || this.getLimit() === 0) return;
+
+        const [key] = this.getContentKeys([node]);
+        if (!key) return;
+
+        // Only preload when the pointer dwells on the node
+        const timer = setTimeout(() => {
+            this.hoverTimers.delete(node);
+            this.parent.cache.preloadContent(key, {
+                priority: 0,
+                signal: this.getSignal()
+            });
+        }, this.config.preload.hoverDelay);
+
+        this.hoverTimers.set(node, timer);
+    }
+
+    /**
+     * Cancels the hover-intent timer for a node
+     * @param {Object} node - D3 hierarchy node the pointer left
+     */
+    hoverEnd(node) {
+        clearTimeout(this.hoverTimers.get(node));
+        this.hoverTimers.delete(node);
+    }
+
+    /**
+     * Aborts queued and in-flight preloads
+     */
+    cancel() {
+        this.controller?.abort();
+        this.controller = null;
+    }
+
+    /**
+     * Gets how many items may be preloaded on the current connection
+     * @returns {number}
+     */
+    getLimit() {
+        const { enabled, limit, reducedLimit, slowConnections, reducedConnections } = this.config.preload;
+        if (!enabled) return 0;
+
+        const connection = navigator.connection;
+        if (!connection) return limit;
+
+        // Respect data saver and effectively offline connections
+        if (connection.saveData || slowConnections.includes(connection.effectiveType)) {
+            return 0;
+        }
+        if (reducedConnections.includes(connection.effectiveType)) {
+            return reducedLimit;
+        }
+        return limit;
+    }
+
+    /**
+     * Gets the abort signal of the current selection
+     * @private
+     */
+    getSignal() {
+        if (!this.controller) {
+            this.controller = new AbortController();
+        }
+        return this.controller.signal;
+    }
+
+    /**
+     * Maps nodes to uncached content keys
+     * @private
+     */
+    getContentKeys(nodes) {
+        const cache = this.parent.cache;
+        return nodes
+            .map(node => cache.getContentKey(node.data))
+            .filter(key => key && !cache.cache.has(key));
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.cancel();
+        this.hoverTimers.forEach(timer => clearTimeout(timer));
+        this.hoverTimers.clear();
+    }
+}
\ No newline at end of file
@@ -3,10 +3,17 @@
  * Handles all state changes and transitions
  */
 
+import { processHierarchicalData } from '../utils/calculations';
+import { createAdapter } from '../data/adapters';
+
+// Bump when the snapshot shape changes, older snapshots are rejected
+const SNAPSHOT_VERSION = 1;
+
 export class StateManager {
     constructor(parent) {
         this.parent = parent;
         this.listeners = new Map();
+        this.dataSource = createAdapter(parent);
         
         // Initialize state
         this.state = {
@@ -16,11 +23,15 @@ export class StateManager {
             isUpdating: false,
             isError: false,
             error: null,
+            warnings: [],
+            rawData: null,
             data: null,
+            drillRoot: null,
             selectedNode: null,
             previousNode: null,
             zoomLevel: 1,
             dimensions: null,
+            filters: {}, // Carried through snapshots, no control sets filters yet
             contentLoaded: new Set()
         };
     }
@@ -38,28 +49,23 @@ export class StateManager {
     }
 
     /**
-     * Fetches initial data
+     * Fetches initial data through the configured data source
      * @private
      * @returns {Promise<void>}
      */
     async fetchInitialData() {
         try {
-            const response = await fetch(ajaxurl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                },
-                body: new URLSearchParams({
-                    action: 'fetch_hierarchical_posts',
-                    post_type: this.parent.postType,
-                    nonce: circularNavData.nonce
-                })
-            });
+            const rawData = await this.dataSource.fetch();
 
-            const result = await response.json();
-            if (!result.success) throw new Error('Data fetch failed');
+            // Non-fatal ingestion problems (orphans, cycles, duplicates)
+            if (this.dataSource.warnings.length > 0) {
+                this.parent.handleWarnings(this.dataSource.warnings);
+            }
 
-            await this.updateState({ data: result.data });
+            await this.updateState({
+                rawData,
+                data: processHierarchicalData(rawData, this.parent.config)
+            });
 
         } catch (error) {
             console.error('Data fetch error:', error);
@@ -67,6 +73,82 @@ export class StateManager {
         }
     }
 
+    /**
+     * Replaces the hierarchy with caller-supplied data
+     * @param {Object|Array} data - Tree, flat parent-id list or list of top-level items
+     * @returns {Promise<void>}
+     */
+    async setData(data) {
+        const rawData = this.dataSource.normalize(data);
+
+        if (this.dataSource.warnings.length > 0) {
+            this.parent.handleWarnings(this.dataSource.warnings);
+        }
+
+        await this.updateState({
+            rawData,
+            data: processHierarchicalData(rawData, this.parent.config),
+            drillRoot: null
+        });
+    }
+
+    /**
+     * Captures what the user is looking at as plain JSON
+     * @returns {Object} Snapshot accepted by restoreSnapshot()
+     */
+    getSnapshot() {
+        const { k, x, y } = this.parent.zoom.getTransform();
+
+        return {
+            version: SNAPSHOT_VERSION,
+            selectedNode: this.state.selectedNode?.data.id ?? null,
+            drillRoot: this.state.drillRoot,
+            zoom: { k, x, y },
+            filters: { ...this.state.filters },
+            expanded: this.parent.lazy.getExpanded(),
+            config: this.parent.settings.getOverrides()
+        };
+    }
+
+    /**
+     * Restores a snapshot from getSnapshot()
+     * Nodes missing from the current data are skipped, so snapshots survive content changes
+     * @param {Object} snapshot - Snapshot object
+     * @returns {Promise<void>}
+     */
+    async restoreSnapshot(snapshot) {
+        if (snapshot?.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported view snapshot version: ${snapshot?.version}`);
+        }
+
+        const { drill, lazy, settings, zoom } = this.parent;
+
+        await settings.applyOverrides(snapshot.config);
+        await lazy.expand(snapshot.expanded || []);
+        await this.updateState({ filters: { ...snapshot.filters } });
+
+        // Drill-down root, falling back to the top-level root
+        const root = snapshot.drillRoot === null ?
+            drill.path[0] :
+            drill.findNode(snapshot.drillRoot)?.data;
+        if (root && root !== drill.getCurrentRoot()) {
+            await drill.drillTo(root.id);
+        }
+
+        const node = snapshot.selectedNode === null ?
+            null :
+            drill.findOnWheel(snapshot.selectedNode);
+        if (node !== this.state.selectedNode) {
+            await this.updateState({ selectedNode: node });
+        }
+
+        // Selecting zooms to the node, so the saved transform is applied last
+        if (snapshot.zoom) {
+            const { k, x, y } = snapshot.zoom;
+            await zoom.transformTo(d3.zoomIdentity.translate(x, y).scale(k), 0);
+        }
+    }
+
     /**
      * Updates state and triggers events
      * @param {Object} newState - New state object
@@ -133,11 +215,15 @@ export class StateManager {
 
         try {
             // Preload content if needed
-            if (newNode && !this.state.contentLoaded.has(newNode.id)) {
-                await this.parent.cache.preload(newNode.id);
-                this.state.contentLoaded.add(newNode.id);
+            const contentKey = newNode && this.parent.cache.getContentKey(newNode.data);
+            if (contentKey && !this.state.contentLoaded.has(contentKey)) {
+                await this.parent.cache.preloadContent(contentKey);
+                this.state.contentLoaded.add(contentKey);
             }
 
+            // Queue likely next content, cancelling the previous selection's preloads
+            this.parent.preload.preloadAround(newNode);
+
             // Update visualization
             await this.parent.viz.updateSelection(newNode, oldNode);
 
@@ -150,6 +236,42 @@ export class StateManager {
         }
     }
 
+    /**
+     * Handles data changes
+     * @private
+     * @param {d3.hierarchy} data - New hierarchy
+     */
+    async handleDataChange(data) {
+        // Point selections at the matching nodes of the new hierarchy
+        this.state.selectedNode = this.findMatchingNode(data, this.state.selectedNode);
+        this.state.previousNode = this.findMatchingNode(data, this.state.previousNode);
+    }
+
+    /**
+     * Finds the node with the same ID in another hierarchy
+     * @private
+     */
+    findMatchingNode(data, node) {
+        if (!data || !node) return null;
+        return data.find(n => n.data.id === node.data.id) || null;
+    }
+
+    /**
+     * Reflects transition state on the container
+     * @private
+     */
+    handleTransitionChange(isTransitioning) {
+        this.parent.container.classList.toggle('is-transitioning', isTransitioning);
+    }
+
+    /**
+     * Reflects error state on the container
+     * @private
+     */
+    handleErrorChange(error) {
+        this.parent.container.classList.toggle('has-error', !!error);
+    }
+
     /**
      * Event handling
      */
@@ -208,6 +330,18 @@ export class StateManager {
         return this.state.data;
     }
 
+    getWarnings() {
+        return this.state.warnings;
+    }
+
+    getRawData() {
+        return this.state.rawData;
+    }
+
+    getDrillRoot() {
+        return this.state.drillRoot;
+    }
+
     isTransitioning() {
         return this.state.isTransitioning;
     }
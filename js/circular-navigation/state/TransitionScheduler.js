@@ -0,0 +1,166 @@
+/**
+ * Transition Scheduler
+ * Serializes user actions so input during transitions is queued instead of dropped
+ */
+
+export class TransitionScheduler {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+
+        // Running action and actions waiting for it
+        this.current = null;
+        this.pending = [];
+        this.interruptTimer = null;
+    }
+
+    /**
+     * Runs an action now, or once the running action has finished
+     * @param {Object} action - Action to run
+     * @param {string} action.type - Action type, e.g. 'select' or 'drill-up'
+     * @param {Object} [action.node] - D3 hierarchy node the action targets
+     * @param {Function} action.run - Performs the action, receives the current node
+     * @returns {Promise<*>} Result of run(), null when the action was dropped
+     */
+    schedule(action) {
+        return new Promise(resolve => {
+            const entry = { ...action, resolve, queued: false };
+
+            if (this.current) {
+                this.enqueue(entry);
+            } else {
+                this.run(entry);
+            }
+        });
+    }
+
+    /**
+     * Queues an action behind the running one
+     * @private
+     */
+    enqueue(entry) {
+        entry.queued = true;
+
+        // Coalescing keeps only the latest intent
+        if (this.config.animation.queueMode === 'latest') {
+            this.pending.splice(0).forEach(stale => this.drop(stale, 'superseded'));
+        } else if (this.pending.length >= this.config.performance.maxTransitions) {
+            this.drop(this.pending.shift(), 'overflow');
+        }
+
+        this.pending.push(entry);
+        this.dispatch('action:queued', entry);
+        this.scheduleInterrupt();
+    }
+
+    /**
+     * Runs an action, then the next pending one
+     * @private
+     */
+    async run(entry) {
+        this.current = entry;
+        entry.startedAt = Date.now();
+        let result = null;
+
+        try {
+            // Earlier actions may have re-rooted or replaced the hierarchy
+            if (entry.node) {
+                const node = this.parent.drill.findOnWheel(entry.node.data.id);
+                if (!node) {
+                    // Resolved in finally like every other run
+                    this.dispatch('action:dropped', entry, { reason: 'stale' });
+                    return;
+                }
+                entry.node = node;
+            }
+
+            result = await entry.run(entry.node);
+            if (entry.queued) {
+                this.dispatch('action:applied', entry);
+            }
+
+        } catch (error) {
+            this.parent.handleError(error, { fatal: false });
+
+        } finally {
+            clearTimeout(this.interruptTimer);
+            this.interruptTimer = null;
+            this.current = null;
+            entry.resolve(result);
+
+            const next = this.pending.shift();
+            if (next) this.run(next);
+        }
+    }
+
+    /**
+     * Cuts the running action's transitions short once they have run long enough
+     * @private
+     */
+    scheduleInterrupt() {
+        if (!this.current || this.interruptTimer) return;
+
+        const elapsed = Date.now() - this.current.startedAt;
+        const delay = Math.max(0, this.config.animation.interruptAfter - elapsed);
+
+        this.interruptTimer = setTimeout(() => {
+            this.interruptTimer = null;
+            if (this.pending.length > 0) {
+                // Interrupted transitions settle, so the running action finishes early
+                this.parent.viz.cancelTransitions();
+            }
+        }, delay);
+    }
+
+    /**
+     * Drops an action without running it
+     * @private
+     * @param {string} reason - 'superseded', 'overflow', 'stale' or 'cancelled'
+     */
+    drop(entry, reason) {
+        entry.resolve(null);
+        this.dispatch('action:dropped', entry, { reason });
+    }
+
+    /**
+     * Dispatches a scheduler event on the container
+     * @private
+     */
+    dispatch(type, entry, detail = {}) {
+        this.parent.container.dispatchEvent(new CustomEvent(type, {
+            detail: {
+                type: entry.type,
+                node: entry.node || null,
+                pending: this.pending.length,
+                ...detail
+            },
+            bubbles: true
+        }));
+    }
+
+    /**
+     * Whether an action is running
+     * @returns {boolean}
+     */
+    isBusy() {
+        return this.current !== null;
+    }
+
+    /**
+     * Drops pending actions and interrupts running transitions
+     */
+    cancel() {
+        this.pending.splice(0).forEach(entry => this.drop(entry, 'cancelled'));
+        this.parent.viz.cancelTransitions();
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        clearTimeout(this.interruptTimer);
+        this.interruptTimer = null;
+        this.pending.splice(0).forEach(entry => entry.resolve(null));
+        this.current = null;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,481 @@
+/**
+ * Content Panel
+ * Displays the selected node's content in a side drawer or bottom sheet
+ */
+
+import { createElement, setARIA, insertStyles, removeElement } from '../utils/dom';
+
+export class ContentPanel {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+        this.panel = null;
+        this.title = null;
+        this.body = null;
+        this.mode = null;
+        this.isOpen = false;
+        this.currentNode = null;
+
+        // Content key of the last password submission
+        this.passwordAttempt = null;
+
+        // Style blocks this panel added to the document
+        this.styleIds = new Set();
+
+        // Incremented per request so stale responses are ignored
+        this.requestId = 0;
+
+        // Bind methods
+        this.handleSelection = this.handleSelection.bind(this);
+        this.handleClose = this.handleClose.bind(this);
+        this.handleKeyboard = this.handleKeyboard.bind(this);
+        this.handleContentUpdated = this.handleContentUpdated.bind(this);
+    }
+
+    /**
+     * Creates the panel elements
+     */
+    create() {
+        if (!this.config.contentPanel?.enabled) return;
+
+        this.panel = createElement('aside', {
+            className: 'circular-nav-content',
+            dataset: { id: `${this.parent.id}-content` },
+            role: 'region',
+            tabindex: '-1'
+        });
+        setARIA(this.panel, { hidden: 'true' });
+
+        this.panel.appendChild(this.createHeader());
+
+        this.body = createElement('div', {
+            className: 'content-body',
+            'aria-live': 'polite'
+        }, {
+            transition: `opacity ${this.config.contentPanel.transitionDuration}ms ease`
+        });
+        this.panel.appendChild(this.body);
+
+        this.parent.container.appendChild(this.panel);
+        this.updateLayout();
+
+        // Follow selection state
+        this.parent.state.on('selectedNodeChange', this.handleSelection);
+        document.addEventListener('keydown', this.handleKeyboard);
+        this.parent.container.addEventListener('content:updated', this.handleContentUpdated);
+    }
+
+    /**
+     * Creates the panel header with title and close control
+     * @private
+     */
+    createHeader() {
+        const header = createElement('div', {
+            className: 'content-header'
+        });
+
+        this.title = createElement('h2', {
+            className: 'content-title',
+            id: `${this.parent.id}-content-title`
+        });
+        setARIA(this.panel, { labelledby: this.title.id });
+
+        const closeBtn = createElement('button', {
+            className: 'control-btn content-close',
+            title: 'Close',
+            'aria-label': 'Close content'
+        });
+        closeBtn.innerHTML = `
+            <svg viewBox="0 0 24 24" width="24" height="24">
+                <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+            </svg>
+        `;
+        closeBtn.addEventListener('click', this.handleClose);
+
+        header.appendChild(this.title);
+        header.appendChild(closeBtn);
+        return header;
+    }
+
+    /**
+     * Applies the layout mode of the active display profile
+     */
+    updateLayout() {
+        if (!this.panel) return;
+
+        const mode = this.parent.display.getContentPanelMode();
+        if (mode === this.mode) return;
+
+        this.panel.classList.remove(`is-${this.mode}`);
+        this.panel.classList.add(`is-${mode}`);
+        this.mode = mode;
+    }
+
+    /**
+     * Handles selection state changes
+     * @private
+     */
+    handleSelection({ newValue }) {
+        if (newValue) {
+            this.show(newValue);
+        } else {
+            this.hide();
+        }
+    }
+
+    /**
+     * Shows content for a node
+     * @param {Object} node - D3 hierarchy node
+     * @returns {Promise<void>}
+     */
+    async show(node) {
+        if (!this.panel) return;
+
+        const requestId = ++this.requestId;
+        const isSwitching = this.isOpen && this.currentNode !== node;
+        this.currentNode = node;
+
+        // Fade out the previous node's content first
+        if (isSwitching) {
+            await this.fadeBody(0);
+            if (requestId !== this.requestId) return;
+        }
+
+        this.title.textContent = node.data.name;
+        this.open();
+
+        const contentKey = this.parent.cache.getContentKey(node.data);
+        if (!contentKey) {
+            this.renderState('empty');
+            this.fadeBody(1);
+            return;
+        }
+
+        this.renderState('loading');
+        this.fadeBody(1);
+
+        try {
+            const content = await this.parent.cache.get(contentKey);
+            if (requestId !== this.requestId) return;
+
+            if (content?.restricted) {
+                this.renderRestricted(node, contentKey, content.restricted);
+                return;
+            }
+
+            if (!content?.html?.trim()) {
+                this.renderState('empty');
+                return;
+            }
+
+            // Content is sanitized when it enters the cache, stored copies are tied to the policy
+            this.passwordAttempt = null;
+            this.setBodyState('ready');
+            this.applyStyles(content.styles);
+            this.body.innerHTML = content.html;
+            this.runScripts(content.scripts);
+
+            this.parent.container.dispatchEvent(new CustomEvent('content:loaded', {
+                detail: { node, contentKey },
+                bubbles: true
+            }));
+            this.parent.plugins.call('contentLoaded', { node, contentKey, body: this.body });
+
+        } catch (error) {
+            if (error.name === 'AbortError' || requestId !== this.requestId) return;
+
+            this.parent.handleError(error, { fatal: false });
+            this.renderState('error', () => this.show(node));
+        }
+    }
+
+    /**
+     * Renders a login prompt, password form or access message
+     * @private
+     */
+    renderRestricted(node, contentKey, restricted) {
+        const { messages } = this.config.contentPanel;
+        const { reason } = restricted;
+
+        // Reflect the refusal on the wheel as well
+        this.parent.nodes.setLocked(node.data.id, reason === 'password' ? 'password' : 'private');
+
+        this.renderState(reason);
+        this.body.dataset.state = 'restricted';
+
+        if (reason === 'login') {
+            const loginLink = createElement('a', {
+                className: 'settings-btn content-login',
+                href: this.getLoginUrl()
+            });
+            loginLink.textContent = messages.loginAction;
+            this.body.appendChild(loginLink);
+        }
+
+        if (reason === 'password') {
+            this.body.appendChild(this.createPasswordForm(node, contentKey));
+        }
+    }
+
+    /**
+     * Creates the password form for protected content
+     * @private
+     */
+    createPasswordForm(node, contentKey) {
+        const { messages } = this.config.contentPanel;
+        const inputId = `${this.parent.id}-content-password`;
+
+        const form = createElement('form', {
+            className: 'content-password-form'
+        });
+
+        const label = createElement('label', { for: inputId });
+        label.textContent = messages.passwordLabel;
+
+        const input = createElement('input', {
+            id: inputId,
+            type: 'password',
+            name: 'post_password',
+            autocomplete: 'current-password',
+            required: ''
+        });
+
+        const submitBtn = createElement('button', {
+            className: 'settings-btn content-password-submit',
+            type: 'submit'
+        });
+        submitBtn.textContent = messages.passwordSubmit;
+
+        form.appendChild(label);
+        form.appendChild(input);
+        form.appendChild(submitBtn);
+
+        // A rejected password comes back as restricted again
+        if (this.passwordAttempt === contentKey) {
+            const error = createElement('div', {
+                className: 'content-message content-password-error',
+                role: 'alert'
+            });
+            error.textContent = messages.passwordIncorrect;
+            form.appendChild(error);
+        }
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            this.submitPassword(form, node, contentKey);
+        });
+
+        return form;
+    }
+
+    /**
+     * Posts the password the way the core form does, then reloads the content
+     * @private
+     */
+    async submitPassword(form, node, contentKey) {
+        const submitBtn = form.querySelector('button');
+        submitBtn.disabled = true;
+
+        try {
+            // WordPress stores the unlock in a cookie, no content is sent back
+            await this.parent.requests.fetch(this.config.contentPanel.passwordUrl, {
+                method: 'POST',
+                body: new URLSearchParams(new FormData(form)),
+                credentials: 'same-origin',
+                retries: 0
+            });
+
+            this.passwordAttempt = contentKey;
+            await this.parent.cache.invalidate(contentKey);
+            await this.show(node);
+
+        } catch (error) {
+            submitBtn.disabled = false;
+            if (error.name !== 'AbortError') {
+                this.parent.handleError(error, { fatal: false });
+            }
+        }
+    }
+
+    /**
+     * Gets the login URL, returning to the current page afterwards
+     * @private
+     */
+    getLoginUrl() {
+        const base = this.config.contentPanel.loginUrl ||
+            (typeof circularNavData !== 'undefined' && circularNavData.loginUrl) ||
+            '/wp-login.php';
+
+        const url = new URL(base, window.location.href);
+        url.searchParams.set('redirect_to', window.location.href);
+        return url.toString();
+    }
+
+    /**
+     * Adds scoped content styles, once per distinct block
+     * @private
+     */
+    applyStyles(styles = []) {
+        styles.forEach(({ id, css }) => {
+            if (document.getElementById(id)) return;
+
+            insertStyles(css, id);
+            this.styleIds.add(id);
+        });
+    }
+
+    /**
+     * Runs scripts kept by an explicit 'execute' sanitize policy
+     * @private
+     */
+    runScripts(scripts = []) {
+        scripts.forEach(({ src, text }) => {
+            const script = document.createElement('script');
+            if (src) {
+                script.src = src;
+            } else {
+                script.textContent = text;
+            }
+            this.body.appendChild(script);
+        });
+    }
+
+    /**
+     * Renders a loading, empty or error message
+     * @private
+     * @param {string} state - 'loading', 'empty' or 'error'
+     * @param {Function} [retry] - Retry callback for the error state
+     */
+    renderState(state, retry = null) {
+        const { messages } = this.config.contentPanel;
+        this.setBodyState(state);
+        this.body.innerHTML = '';
+
+        const message = createElement('div', {
+            className: `content-message content-${state}`
+        });
+        if (state === 'loading') {
+            message.appendChild(createElement('span', {
+                className: 'content-spinner',
+                'aria-hidden': 'true'
+            }));
+        }
+        message.appendChild(document.createTextNode(messages[state]));
+        this.body.appendChild(message);
+
+        if (retry) {
+            const retryBtn = createElement('button', {
+                className: 'settings-btn content-retry'
+            });
+            retryBtn.textContent = messages.retry;
+            retryBtn.addEventListener('click', retry);
+            this.body.appendChild(retryBtn);
+        }
+    }
+
+    /**
+     * Sets the body state class and busy flag
+     * @private
+     */
+    setBodyState(state) {
+        this.body.dataset.state = state;
+        setARIA(this.body, { busy: state === 'loading' ? 'true' : null });
+    }
+
+    /**
+     * Fades the body to an opacity
+     * @private
+     */
+    fadeBody(opacity) {
+        this.body.style.opacity = opacity;
+        return new Promise(resolve =>
+            setTimeout(resolve, this.config.contentPanel.transitionDuration)
+        );
+    }
+
+    /**
+     * Opens the panel
+     * @private
+     */
+    open() {
+        if (this.isOpen) return;
+
+        this.isOpen = true;
+        this.panel.classList.add('visible');
+        setARIA(this.panel, { hidden: null });
+        this.parent.container.classList.add('has-content-panel');
+    }
+
+    /**
+     * Closes the panel without touching selection
+     */
+    hide() {
+        if (!this.panel || !this.isOpen) return;
+
+        // Cancel any pending content request
+        this.requestId++;
+        this.isOpen = false;
+        this.currentNode = null;
+
+        this.panel.classList.remove('visible');
+        setARIA(this.panel, { hidden: 'true' });
+        this.parent.container.classList.remove('has-content-panel');
+    }
+
+    /**
+     * Re-renders when the shown content was revalidated with a new version
+     * @private
+     */
+    handleContentUpdated(event) {
+        if (!this.isOpen || !this.currentNode) return;
+
+        const contentKey = this.parent.cache.getContentKey(this.currentNode.data);
+        if (contentKey === event.detail.id) {
+            this.show(this.currentNode);
+        }
+    }
+
+    /**
+     * Handles the close control by clearing selection
+     * Goes through the scheduler so it queues behind a running transition
+     * @private
+     */
+    handleClose() {
+        this.hide();
+        this.parent.clearSelection();
+    }
+
+    /**
+     * Closes the panel on Escape
+     * @private
+     */
+    handleKeyboard(event) {
+        if (event.key !== 'Escape' || !this.isOpen) return;
+        if (!this.parent.container.contains(document.activeElement)) return;
+
+        this.handleClose();
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.parent.state.off('selectedNodeChange', this.handleSelection);
+        document.removeEventListener('keydown', this.handleKeyboard);
+        this.parent.container.removeEventListener('content:updated', this.handleContentUpdated);
+
+        if (this.panel) {
+            this.panel.remove();
+        }
+
+        this.styleIds.forEach(id => removeElement(document.getElementById(id)));
+        this.styleIds.clear();
+
+        this.panel = null;
+        this.title = null;
+        this.body = null;
+        this.mode = null;
+        this.isOpen = false;
+        this.currentNode = null;
+    }
+}
\ No newline at end of file
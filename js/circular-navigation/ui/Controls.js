@@ -36,6 +36,9 @@ export class Controls {
         // Optional: Add other controls (fullscreen, reset, etc.)
         this.createAdditionalControls();
 
+        // Controls contributed by plugins
+        this.createPluginControls();
+
         // Add to parent container
         this.parent.container.appendChild(this.container);
 
@@ -129,6 +132,39 @@ export class Controls {
         this.container.appendChild(additionalGroup);
     }
 
+    /**
+     * Creates buttons for plugin controls
+     * @private
+     */
+    createPluginControls() {
+        const controls = this.parent.plugins.getControls();
+        if (controls.length === 0) return;
+
+        const pluginGroup = createElement('div', {
+            className: 'control-group plugin-controls'
+        });
+
+        controls.forEach(control => {
+            const button = createElement('button', {
+                className: `control-btn plugin-control ${control.plugin}-${control.id}`,
+                title: control.label,
+                'aria-label': control.label
+            });
+
+            // Icons come from registered plugin code, not from content
+            if (control.icon) {
+                button.innerHTML = control.icon;
+            } else {
+                button.textContent = control.label;
+            }
+
+            button.addEventListener('click', () => control.onClick(this.parent));
+            pluginGroup.appendChild(button);
+        });
+
+        this.container.appendChild(pluginGroup);
+    }
+
     /**
      * Sets up keyboard controls
      * @private
@@ -187,7 +223,7 @@ export class Controls {
         if (this.isZooming) return;
         
         const newZoom = Math.min(
-            this.currentZoom * this.config.zoom.step,
+            this.currentZoom + this.config.zoom.step,
             this.config.zoom.max
         );
         
@@ -202,7 +238,7 @@ export class Controls {
         if (this.isZooming) return;
         
         const newZoom = Math.max(
-            this.currentZoom / this.config.zoom.step,
+            this.currentZoom - this.config.zoom.step,
             this.config.zoom.min
         );
         
@@ -272,6 +308,15 @@ export class Controls {
         }
     }
 
+    /**
+     * Syncs indicator with zoom applied elsewhere (wheel, pinch, zoomToNode)
+     * @param {number} zoom - Current zoom level
+     */
+    syncZoom(zoom) {
+        this.currentZoom = zoom;
+        this.updateZoomIndicator();
+    }
+
     /**
      * Gets current zoom level
      */
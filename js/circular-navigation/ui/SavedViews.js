@@ -0,0 +1,265 @@
+/**
+ * Saved Views
+ * Named state snapshots editors can restore or embed with data-view
+ */
+
+import { createElement } from '../utils/dom';
+import { escapeHTML } from '../utils/sanitize';
+
+export class SavedViews {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+        this.storageKey = `circular-nav-views:${parent.id}`;
+
+        // Saved views ({name, snapshot, saved}) in save order
+        this.views = [];
+        this.group = null;
+        this.list = null;
+    }
+
+    /**
+     * Loads saved views and applies the embedded view
+     * A position in the URL takes precedence over the embedded view
+     * @returns {Promise<void>}
+     */
+    async init() {
+        this.views = this.load();
+        this.renderList();
+
+        if (!this.config.view || this.parent.history.hasPosition()) return;
+
+        const snapshot = this.resolve(this.config.view);
+        if (!snapshot) return;
+
+        // A broken embed leaves the default view rather than failing init
+        try {
+            await this.parent.state.restoreSnapshot(snapshot);
+        } catch (error) {
+            this.parent.handleError(error, { fatal: false });
+        }
+    }
+
+    /**
+     * Creates the saved views section of the settings panel
+     * @returns {HTMLElement} Settings group
+     */
+    create() {
+        this.group = createElement('div', {
+            className: 'settings-group settings-views'
+        });
+
+        const header = createElement('div', {
+            className: 'settings-group-header'
+        });
+        const title = createElement('h3');
+        title.textContent = 'Saved Views';
+        header.appendChild(title);
+
+        const form = createElement('form', {
+            className: 'settings-views-form'
+        });
+        const input = createElement('input', {
+            type: 'text',
+            placeholder: 'View name',
+            'aria-label': 'View name',
+            required: ''
+        });
+        const saveBtn = createElement('button', {
+            type: 'submit',
+            className: 'settings-btn'
+        });
+        saveBtn.textContent = '💾 Save View';
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            this.save(input.value);
+            input.value = '';
+        });
+        form.appendChild(input);
+        form.appendChild(saveBtn);
+
+        this.list = createElement('ul', {
+            className: 'settings-views-list'
+        });
+
+        this.group.appendChild(header);
+        this.group.appendChild(form);
+        this.group.appendChild(this.list);
+        this.renderList();
+
+        return this.group;
+    }
+
+    /**
+     * Saves the current state under a name, replacing a view with the same name
+     * @param {string} name - View name
+     * @returns {Object|null} Saved view
+     */
+    save(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) return null;
+
+        const view = {
+            name: trimmed,
+            snapshot: this.parent.state.getSnapshot(),
+            saved: new Date().toISOString()
+        };
+
+        this.views = this.views.filter(existing => existing.name !== trimmed);
+        this.views.push(view);
+        this.persist();
+        this.renderList();
+
+        return view;
+    }
+
+    /**
+     * Restores a saved view
+     * @param {string} name - View name
+     * @returns {Promise<boolean>} Whether the view exists
+     */
+    async apply(name) {
+        const view = this.views.find(existing => existing.name === name);
+        if (!view) return false;
+
+        await this.parent.restoreSnapshot(view.snapshot);
+        return true;
+    }
+
+    /**
+     * Deletes a saved view
+     * @param {string} name - View name
+     */
+    remove(name) {
+        this.views = this.views.filter(existing => existing.name !== name);
+        this.persist();
+        this.renderList();
+    }
+
+    /**
+     * Gets the data-view attribute that embeds a view
+     * @param {Object} view - Saved view
+     * @returns {string} Attribute markup
+     */
+    getEmbedAttribute(view) {
+        return `data-view="${escapeHTML(JSON.stringify(view.snapshot))}"`;
+    }
+
+    /**
+     * Resolves a data-view value to a snapshot
+     * Only snapshot JSON is accepted, saved view names exist only in the editor's browser
+     * @private
+     */
+    resolve(value) {
+        if (typeof value === 'object') return value;
+
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            console.warn('Invalid view snapshot, data-view takes the JSON from Copy Embed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Renders the list of saved views
+     * @private
+     */
+    renderList() {
+        if (!this.list) return;
+
+        this.list.replaceChildren(...this.views.map(view => this.createListItem(view)));
+    }
+
+    /**
+     * Creates the list entry of a saved view
+     * @private
+     */
+    createListItem(view) {
+        const item = createElement('li', {
+            className: 'settings-view'
+        });
+
+        const name = createElement('span', {
+            className: 'settings-view-name'
+        });
+        name.textContent = view.name;
+
+        const applyBtn = this.createButton('Apply', `Restore ${view.name}`, () => this.apply(view.name));
+        const copyBtn = this.createButton('Copy Embed', 'Copy the data-view attribute', button =>
+            this.copyEmbed(view, button)
+        );
+        const deleteBtn = this.createButton('Delete', `Delete ${view.name}`, () => this.remove(view.name));
+
+        item.appendChild(name);
+        item.appendChild(applyBtn);
+        item.appendChild(copyBtn);
+        item.appendChild(deleteBtn);
+        return item;
+    }
+
+    /**
+     * Creates a list action button
+     * @private
+     */
+    createButton(label, title, onClick) {
+        const button = createElement('button', {
+            type: 'button',
+            className: 'settings-btn',
+            title
+        });
+        button.textContent = label;
+        button.addEventListener('click', () => onClick(button));
+        return button;
+    }
+
+    /**
+     * Copies a view's embed attribute to the clipboard
+     * @private
+     */
+    async copyEmbed(view, button) {
+        try {
+            await navigator.clipboard.writeText(this.getEmbedAttribute(view));
+            button.textContent = '✔️ Copied';
+        } catch (error) {
+            console.error('Failed to copy view:', error);
+            button.textContent = '⚠️ Copy Failed';
+        }
+    }
+
+    /**
+     * Reads saved views from localStorage
+     * @private
+     */
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (error) {
+            // Blocked storage or corrupt entries leave no saved views
+            return [];
+        }
+    }
+
+    /**
+     * Writes saved views to localStorage
+     * @private
+     */
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.views));
+        } catch (error) {
+            console.warn('Failed to store saved views:', error);
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.group?.remove();
+        this.group = null;
+        this.list = null;
+        this.views = [];
+    }
+}
\ No newline at end of file
@@ -12,9 +12,40 @@ export class SettingsPanel {
         this.panel = null;
         this.isVisible = false;
         this.controls = new Map();
+
+        // Values changed through the panel, by config path
+        this.overrides = new Map();
+
+        // Paths whose changes recompute node positions
+        this.relayoutPaths = new Set();
         
         // Settings definitions with validation and formatting
         this.settingsDefinitions = {
+            layout: {
+                type: 'select',
+                label: 'Layout',
+                options: { wheel: 'Wheel', sunburst: 'Sunburst' },
+                relayout: true
+            },
+            arc: {
+                label: 'Arc (radians from 12 o\'clock)',
+                fields: {
+                    startAngle: { type: 'number', min: -6.3, max: 6.3, step: 0.1, relayout: true },
+                    endAngle: { type: 'number', min: -6.3, max: 6.3, step: 0.1, relayout: true }
+                }
+            },
+            allocation: {
+                label: 'Outer Ring',
+                fields: {
+                    strategy: {
+                        type: 'select',
+                        options: { even: 'Even', leaves: 'Leaf Count', value: 'Data Field' },
+                        relayout: true
+                    },
+                    minArc: { type: 'number', min: 0, max: 1, step: 0.05, relayout: true },
+                    padding: { type: 'number', min: 0, max: 0.5, step: 0.02, relayout: true }
+                }
+            },
             dimensions: {
                 label: 'Dimensions',
                 fields: {
@@ -59,6 +90,12 @@ export class SettingsPanel {
                         label: 'Spacing',
                         base: { type: 'number', min: 20, max: 60, step: 2 },
                         side: { type: 'number', min: 10, max: 50, step: 5 }
+                    },
+                    orientation: {
+                        type: 'select',
+                        label: 'Outer Labels',
+                        options: { horizontal: 'Horizontal', radial: 'Radial', curved: 'Curved' },
+                        relayout: true
                     }
                 }
             },
@@ -120,6 +157,7 @@ export class SettingsPanel {
 
         // Dynamically generate settings from config
         this.generateSettingsContent(content);
+        content.appendChild(this.parent.views.create());
 
         this.panel.appendChild(content);
         document.body.appendChild(this.panel);
@@ -159,14 +197,40 @@ export class SettingsPanel {
         });
         importBtn.addEventListener('click', () => this.importSettings());
 
+        const purgeBtn = createElement('button', {
+            className: 'settings-btn settings-purge',
+            title: 'Remove stored content from this browser'
+        });
+        purgeBtn.textContent = '🗑️ Clear Cache';
+        purgeBtn.addEventListener('click', () => this.purgeCache(purgeBtn));
+
         actions.appendChild(exportBtn);
         actions.appendChild(importBtn);
+        actions.appendChild(purgeBtn);
 
         header.appendChild(title);
         header.appendChild(actions);
         return header;
     }
 
+    /**
+     * Purges memory and persistent content caches
+     * @private
+     */
+    async purgeCache(button) {
+        button.disabled = true;
+
+        try {
+            await this.parent.cache.purge();
+            button.textContent = '✔️ Cache Cleared';
+        } catch (error) {
+            console.error('Failed to clear cache:', error);
+            button.textContent = '⚠️ Clear Failed';
+        } finally {
+            button.disabled = false;
+        }
+    }
+
     /**
      * Generates settings content from config
      * @private
@@ -260,6 +324,9 @@ export class SettingsPanel {
         }
 
         this.controls.set(path, input);
+        if (definition.relayout) {
+            this.relayoutPaths.add(path);
+        }
         return control;
     }
 
@@ -288,6 +355,16 @@ export class SettingsPanel {
                 });
                 break;
 
+            case 'select':
+                input = createElement('select');
+                Object.entries(definition.options).forEach(([optionValue, optionLabel]) => {
+                    const option = createElement('option', { value: optionValue });
+                    option.textContent = optionLabel;
+                    input.appendChild(option);
+                });
+                input.value = value;
+                break;
+
             default:
                 return null;
         }
@@ -310,9 +387,51 @@ export class SettingsPanel {
 
         // Update config
         this.updateConfigValue(this.config, path.split('.'), processedValue);
+        this.overrides.set(path, processedValue);
 
         // Update visualization
-        this.parent.update(null, this.config);
+        this.refresh([path]);
+    }
+
+    /**
+     * Refreshes the visualization after config paths changed
+     * @private
+     * @param {string[]} paths - Changed config paths
+     * @returns {Promise<void>}
+     */
+    refresh(paths) {
+        if (paths.some(path => this.relayoutPaths.has(path))) {
+            return this.parent.relayout();
+        }
+        return this.parent.update(null, this.config);
+    }
+
+    /**
+     * Gets the values changed through the panel
+     * @returns {Object} Values by config path, e.g. { 'node.central.size': 120 }
+     */
+    getOverrides() {
+        return Object.fromEntries(this.overrides);
+    }
+
+    /**
+     * Applies values by config path and refreshes the visualization
+     * Only paths the panel controls are accepted
+     * @param {Object} overrides - Values from getOverrides()
+     * @returns {Promise<void>}
+     */
+    applyOverrides(overrides) {
+        const entries = Object.entries(overrides || {})
+            .filter(([path]) => this.controls.has(path));
+        if (entries.length === 0) return Promise.resolve();
+
+        entries.forEach(([path, value]) => {
+            this.updateConfigValue(this.config, path.split('.'), value);
+            this.overrides.set(path, value);
+        });
+
+        this.updateControlValues();
+        return this.refresh(entries.map(([path]) => path));
     }
 
     /**
@@ -469,5 +588,7 @@ export class SettingsPanel {
             toggleButton.remove();
         }
         this.controls.clear();
+        this.overrides.clear();
+        this.relayoutPaths.clear();
     }
 }
\ No newline at end of file
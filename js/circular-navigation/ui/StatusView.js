@@ -0,0 +1,150 @@
+/**
+ * Status View
+ * Renders loading, error and empty states inside the container
+ */
+
+import { createElement, setARIA } from '../utils/dom';
+import { escapeHTML } from '../utils/sanitize';
+
+export class StatusView {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+        this.options = parent.config.status;
+        this.layer = null;
+        this.state = null;
+    }
+
+    /**
+     * Shows the skeleton wheel while data loads
+     */
+    showLoading() {
+        this.render('loading', this.options.messages.loading);
+    }
+
+    /**
+     * Shows the error panel with a retry button
+     * @param {Error} error - Initialization error
+     */
+    showError(error) {
+        const { messages } = this.options;
+
+        // Connection and permission problems get a message the user can act on
+        const isOffline = error?.type === 'network' || error?.type === 'timeout';
+        let message = messages.error;
+        if (isOffline) message = messages.offline;
+        else if (error?.type === 'auth') message = messages.auth;
+
+        this.render('error', message, () => this.parent.retry());
+    }
+
+    /**
+     * Shows the empty-hierarchy message
+     */
+    showEmpty() {
+        this.render('empty', this.options.messages.empty);
+    }
+
+    /**
+     * Removes any rendered state
+     */
+    hide() {
+        this.layer?.remove();
+        this.layer = null;
+        this.state = null;
+        setARIA(this.parent.container, { busy: null });
+        this.parent.container.classList.remove('is-loading', 'is-empty');
+    }
+
+    /**
+     * Renders a state, replacing the previous one
+     * @private
+     * @param {string} state - 'loading', 'error' or 'empty'
+     * @param {string} message - Message for the state
+     * @param {Function} [retry] - Retry handler for error states
+     */
+    render(state, message, retry = null) {
+        this.hide();
+        this.state = state;
+
+        this.layer = createElement('div', {
+            className: `circular-nav-status status-${state}`,
+            role: state === 'error' ? 'alert' : 'status'
+        });
+        this.layer.innerHTML = this.getMarkup(state, message);
+
+        if (retry) {
+            this.layer.querySelectorAll('[data-action="retry"]').forEach(button => {
+                button.addEventListener('click', retry, { once: true });
+            });
+        }
+
+        setARIA(this.parent.container, { busy: state === 'loading' ? 'true' : null });
+        this.parent.container.classList.toggle('is-loading', state === 'loading');
+        this.parent.container.classList.toggle('is-empty', state === 'empty');
+        this.parent.container.appendChild(this.layer);
+    }
+
+    /**
+     * Gets the markup of a state from its template or the defaults
+     * Templates are HTML strings where {message} and {retry} are replaced
+     * @private
+     */
+    getMarkup(state, message) {
+        const template = this.options.templates[state] || this.getDefaultTemplate(state);
+
+        return template
+            .replace(/\{message\}/g, escapeHTML(message))
+            .replace(/\{retry\}/g, escapeHTML(this.options.messages.retry));
+    }
+
+    /**
+     * Gets the built-in template of a state
+     * @private
+     */
+    getDefaultTemplate(state) {
+        switch (state) {
+            case 'loading':
+                return `${this.createSkeleton()}<p class="status-message">{message}</p>`;
+
+            case 'error':
+                return `
+                    <p class="status-message">{message}</p>
+                    <button type="button" class="settings-btn status-retry" data-action="retry">{retry}</button>
+                `;
+
+            default:
+                return '<p class="status-message">{message}</p>';
+        }
+    }
+
+    /**
+     * Creates a placeholder wheel shaped like the real layout
+     * @private
+     */
+    createSkeleton() {
+        const count = this.options.skeletonNodes;
+        const ring = (radius, size, total) => Array.from({ length: total }, (_, i) => {
+            const angle = (2 * Math.PI * i) / total - Math.PI / 2;
+            const x = (radius * Math.cos(angle)).toFixed(1);
+            const y = (radius * Math.sin(angle)).toFixed(1);
+            return `<circle class="skeleton-node" cx="${x}" cy="${y}" r="${size}"/>`;
+        }).join('');
+
+        return `
+            <svg class="status-skeleton" viewBox="-100 -100 200 200" aria-hidden="true">
+                <circle class="skeleton-ring" r="55" fill="none"/>
+                <circle class="skeleton-node skeleton-central" r="20"/>
+                ${ring(55, 10, count)}
+                ${ring(88, 4, count * 2)}
+            </svg>
+        `;
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.hide();
+    }
+}
\ No newline at end of file
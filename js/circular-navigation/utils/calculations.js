@@ -8,63 +8,195 @@ import * as d3 from 'd3';
 /**
  * Processes hierarchical data for D3
  * @param {Object} data - Raw hierarchical data
+ * @param {Object} [config] - Config, config.layout selects 'wheel' or 'sunburst'
  * @returns {d3.hierarchy} Processed D3 hierarchy
  */
-export function processHierarchicalData(data) {
+export function processHierarchicalData(data, config = {}) {
     const root = d3.hierarchy(data);
+    const extent = getArcExtent(config.arc);
+
+    if (config.layout === 'sunburst') {
+        processPartitionLayout(root, config.sunburst, extent);
+        return root;
+    }
     
     // Calculate tree layout
     const tree = d3.tree()
-        .size([2 * Math.PI, 1])
+        .size([extent.span, 1])
         .separation((a, b) => (a.parent === b.parent ? 1 : 2) / a.depth);
     
     tree(root);
 
+    // Only two rings are drawn, so radii follow the rendered depths rather than the
+    // full subtree height, keeping the outer ring at 1 however deep the data goes
+    const rings = Math.min(root.height, 2) || 1;
+    root.each(node => {
+        node.x += extent.start;
+        node.y = Math.min(node.depth, 2) / rings;
+    });
+
     // Process nodes at each depth
-    processDepthNodes(root);
+    processDepthNodes(root, config.allocation, extent);
 
     return root;
 }
 
+/**
+ * Resolves the angular extent of the layout
+ * Angles run clockwise from 12 o'clock, like project(), an empty or oversized range is a full circle
+ * @param {Object} [arc] - config.arc
+ * @returns {Object} { start, end, span, isFull }
+ */
+export function getArcExtent({ startAngle = 0, endAngle = 2 * Math.PI } = {}) {
+    const span = endAngle - startAngle;
+
+    if (!(span > 0) || span >= 2 * Math.PI - 1e-6) {
+        return { start: 0, end: 2 * Math.PI, span: 2 * Math.PI, isFull: true };
+    }
+    return { start: startAngle, end: endAngle, span, isFull: false };
+}
+
+/**
+ * Calculates the bounding box of a unit-radius sector, centre included
+ * @param {Object} extent - Extent from getArcExtent()
+ * @returns {Object} { x0, y0, x1, y1 } in the coordinates of project()
+ */
+export function calculateArcBounds({ start, end }) {
+    // The box touches the arc at its ends and at each compass point it sweeps through
+    const angles = [start, end];
+    for (let angle = Math.ceil(start / (Math.PI / 2)) * (Math.PI / 2); angle < end; angle += Math.PI / 2) {
+        angles.push(angle);
+    }
+
+    const points = [[0, 0], ...angles.map(angle => project(angle, 1))];
+    return {
+        x0: d3.min(points, p => p[0]),
+        y0: d3.min(points, p => p[1]),
+        x1: d3.max(points, p => p[0]),
+        y1: d3.max(points, p => p[1])
+    };
+}
+
 /**
  * Processes nodes at different depths
+ * Each depth-1 branch gets a wedge (x0/x1) sized by the allocation strategy,
+ * its children share the wedge and the branch sits at its centre
  * @private
  */
-function processDepthNodes(root) {
-    // Process depth-2 nodes (outer circle)
-    const depthTwoNodes = root.descendants().filter(d => d.depth === 2);
-    if (depthTwoNodes.length > 0) {
-        const angleStep = (2 * Math.PI) / depthTwoNodes.length;
-        depthTwoNodes.forEach((node, i) => {
-            node.x = i * angleStep;
-        });
+function processDepthNodes(root, allocation = {}, extent = getArcExtent()) {
+    const branches = root.children || [];
+    if (branches.length === 0) return;
+
+    const { strategy = 'even', value = null, minArc = 0, padding = 0 } = allocation;
+    const weigh = getNodeWeight(strategy, value);
+
+    // Childless branches still get a wedge the size of one node
+    const childWeights = branches.map(branch =>
+        (branch.children || [branch]).map(weigh)
+    );
+    let branchWeights = childWeights.map(weights => d3.sum(weights));
+
+    // A field missing everywhere falls back to even spacing
+    if (d3.sum(branchWeights) === 0) {
+        branchWeights = childWeights.map(weights => weights.length);
     }
 
-    // Process depth-1 nodes (inner circle)
-    const depthOneNodes = root.children || [];
-    depthOneNodes.forEach(node => {
-        if (node.children && node.children.length > 0) {
-            // Position based on children's average angle
-            const childAngles = node.children.map(child => child.x);
-            const avgAngle = calculateAverageAngle(childAngles);
-            node.x = avgAngle;
-        }
+    // A full circle also pads where the last wedge meets the first, a fan has no such gap
+    const gaps = extent.isFull ? branches.length : branches.length - 1;
+    const available = Math.max(0, extent.span - padding * gaps);
+    const arcs = allocateArcs(branchWeights, available, minArc);
+
+    let angle = extent.start + (extent.isFull ? padding / 2 : 0);
+    branches.forEach((branch, i) => {
+        branch.x0 = angle;
+        branch.x1 = angle + arcs[i];
+        branch.x = (branch.x0 + branch.x1) / 2;
+        angle = branch.x1 + padding;
+
+        if (!branch.children) return;
+
+        // Children split the wedge by weight, evenly when all weigh nothing
+        const weights = childWeights[i];
+        const total = d3.sum(weights);
+        let childAngle = branch.x0;
+        branch.children.forEach((child, j) => {
+            const share = total > 0 ? weights[j] / total : 1 / weights.length;
+            child.x0 = childAngle;
+            child.x1 = childAngle + arcs[i] * share;
+            child.x = (child.x0 + child.x1) / 2;
+            childAngle = child.x1;
+        });
     });
 }
 
 /**
- * Calculates average angle accounting for circular wrap
+ * Gets the weighting function of an allocation strategy
  * @private
  */
-function calculateAverageAngle(angles) {
-    const minAngle = Math.min(...angles);
-    const maxAngle = Math.max(...angles);
-    
-    if (maxAngle - minAngle > Math.PI) {
-        // Handle wrap-around case
-        return (minAngle + maxAngle + 2 * Math.PI) / 2 % (2 * Math.PI);
+function getNodeWeight(strategy, field) {
+    switch (strategy) {
+        case 'leaves':
+            return node => node.leaves().length;
+
+        case 'value':
+            return node => d3.sum(node.descendants(), d => Math.max(0, Number(d.data[field]) || 0));
+
+        default:
+            return () => 1;
+    }
+}
+
+/**
+ * Splits an angle proportionally to weights, keeping each arc at least minArc
+ * Arcs raised to the minimum are taken out of the share of the others
+ * @private
+ */
+function allocateArcs(weights, available, minArc) {
+    const floor = Math.min(minArc, available / weights.length);
+    const fixed = new Set();
+
+    for (;;) {
+        const flexible = weights.filter((_, i) => !fixed.has(i));
+        const remaining = available - fixed.size * floor;
+        const total = d3.sum(flexible);
+
+        const arcs = weights.map((weight, i) => {
+            if (fixed.has(i)) return floor;
+            return total > 0 ? (weight / total) * remaining : remaining / flexible.length;
+        });
+
+        const below = arcs.findIndex((arc, i) => !fixed.has(i) && arc < floor);
+        if (below === -1) return arcs;
+        fixed.add(below);
+    }
+}
+
+/**
+ * Lays nodes out as concentric arc segments per depth
+ * Sets x0/x1 (angles) and y0/y1 (ring bounds) for arcs, and x/y at each segment's centre
+ * @private
+ */
+function processPartitionLayout(root, { value } = {}, extent = getArcExtent()) {
+    // Size by a numeric field, falling back to leaf count
+    if (value) {
+        root.sum(d => Math.max(0, Number(d[value]) || 0));
+    }
+    if (!value || !root.value) {
+        root.count();
     }
-    return (minAngle + maxAngle) / 2;
+
+    d3.partition().size([extent.span, 1])(root);
+
+    // Rings span the rendered depths only, deeper levels are reached by drilling
+    const rings = Math.min(root.height, 2) + 1;
+    root.each(node => {
+        node.x0 += extent.start;
+        node.x1 += extent.start;
+        node.y0 = node.depth / rings;
+        node.y1 = (node.depth + 1) / rings;
+        node.x = (node.x0 + node.x1) / 2;
+        node.y = node.depth === 0 ? 0 : (node.y0 + node.y1) / 2;
+    });
 }
 
 /**
@@ -178,7 +310,7 @@ export function calculateAnimationDuration(changeMagnitude, config) {
  * @returns {Object} Boundary box
  */
 export function calculateBoundaries(node, dimensions) {
-    const [x, y] = project(node.x, node.y);
+    const [x, y] = project(node.x, node.y * dimensions.radius);
     const size = node.depth === 0 ? 
         dimensions.nodes.central.width : 
         dimensions.nodes[node.depth === 1 ? 'primary' : 'secondary'].width;
@@ -191,6 +323,121 @@ export function calculateBoundaries(node, dimensions) {
     };
 }
 
+/**
+ * Calculates how far a ray from the centre runs before leaving a box
+ * @param {number} angle - Ray angle, as for project()
+ * @param {Array} box - [x, y, width, height] containing the centre, e.g. a viewBox
+ * @returns {number} Distance to the edge of the box
+ */
+export function calculateReach(angle, [x, y, width, height]) {
+    const [dx, dy] = project(angle, 1);
+    const reachX = dx > 0 ? (x + width) / dx : dx < 0 ? x / dx : Infinity;
+    const reachY = dy > 0 ? (y + height) / dy : dy < 0 ? y / dy : Infinity;
+    return Math.min(reachX, reachY);
+}
+
+/**
+ * Checks whether two boundary boxes overlap
+ * @param {Object} a - Box from calculateBoundaries()
+ * @param {Object} b - Box from calculateBoundaries()
+ * @param {number} [padding] - Minimum gap between the boxes
+ * @returns {boolean}
+ */
+export function boundariesOverlap(a, b, padding = 0) {
+    return a.left < b.right + padding &&
+        b.left < a.right + padding &&
+        a.top < b.bottom + padding &&
+        b.top < a.bottom + padding;
+}
+
+/**
+ * Places labels so their boxes overlap neither each other nor obstacles
+ * Labels are placed in angular order, each taking the first free spot of:
+ * its own position, nudges along the arc, then the same nudges further out
+ * @param {Array} labels - Labels with angle, radius, width and height
+ * @param {Object} options - Placement options
+ * @param {Function} options.place - (label, angle, radius) => { x, y } of the label's top-left corner
+ * @param {Array} [options.obstacles] - Boxes from calculateBoundaries() to keep clear of
+ * @param {number} [options.padding] - Minimum gap between boxes
+ * @param {number} [options.angleStep] - Nudge step along the arc, in radians
+ * @param {number} [options.maxAngle] - Largest nudge along the arc, in radians
+ * @param {number} [options.radiusStep] - Nudge step outwards
+ * @param {number} [options.maxRadius] - Largest nudge outwards
+ * @returns {Array} Labels left overlapping, which keep their own position
+ */
+export function resolveLabelCollisions(labels, options) {
+    const { place, obstacles = [], padding = 0 } = options;
+    const offsets = getNudgeOffsets(options);
+    const placed = [...obstacles];
+    const collisions = [];
+
+    const toBoundaries = (label, angle, radius) => {
+        const { x, y } = place(label, angle, radius);
+        return { x, y, left: x, right: x + label.width, top: y, bottom: y + label.height };
+    };
+
+    [...labels].sort((a, b) => a.angle - b.angle).forEach(label => {
+        let box = null;
+
+        for (const [angleOffset, radiusOffset] of offsets) {
+            const candidate = toBoundaries(label, label.angle + angleOffset, label.radius + radiusOffset);
+            if (!placed.some(other => boundariesOverlap(candidate, other, padding))) {
+                box = candidate;
+                label.placedAngle = label.angle + angleOffset;
+                label.placedRadius = label.radius + radiusOffset;
+                break;
+            }
+        }
+
+        if (!box) {
+            box = toBoundaries(label, label.angle, label.radius);
+            label.placedAngle = label.angle;
+            label.placedRadius = label.radius;
+            collisions.push(label);
+        }
+
+        label.x = box.x;
+        label.y = box.y;
+        placed.push(box);
+    });
+
+    return collisions;
+}
+
+/**
+ * Lists nudges as [angle, radius] offsets, smallest displacement first
+ * @private
+ */
+function getNudgeOffsets({ angleStep = 0, maxAngle = 0, radiusStep = 0, maxRadius = 0 }) {
+    const angles = [0];
+    for (let step = 1; angleStep > 0 && step * angleStep <= maxAngle; step++) {
+        angles.push(step * angleStep, -step * angleStep);
+    }
+
+    const offsets = [];
+    for (let step = 0; step === 0 || (radiusStep > 0 && step * radiusStep <= maxRadius); step++) {
+        angles.forEach(angle => offsets.push([angle, step * radiusStep]));
+    }
+    return offsets;
+}
+
+/**
+ * Truncates text with an ellipsis to fit a width
+ * @param {string} text - Text to truncate
+ * @param {number} maxWidth - Maximum width in pixels
+ * @param {number} fontSize - Font size in pixels
+ * @returns {string} Text, truncated when it is wider than maxWidth
+ */
+export function truncateText(text, maxWidth, fontSize) {
+    if (calculateTextWidth(text, fontSize) <= maxWidth) return text;
+
+    let end = text.length;
+    while (end > 1 && calculateTextWidth(`${text.slice(0, end).trimEnd()}…`, fontSize) > maxWidth) {
+        end--;
+    }
+    return `${text.slice(0, end).trimEnd()}…`;
+}
+
 /**
  * Validates angles are within bounds
  * @param {number} angle - Angle in radians
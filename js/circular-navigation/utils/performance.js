@@ -0,0 +1,88 @@
+/**
+ * Performance Utilities
+ * Handles rate limiting and batched DOM updates
+ */
+
+/**
+ * Delays calls until they stop for a given time
+ * @param {Function} fn - Function to debounce
+ * @param {number} wait - Delay in milliseconds
+ * @returns {Function} Debounced function with cancel()
+ */
+export function debounce(fn, wait) {
+    let timeout = null;
+
+    const debounced = function (...args) {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => {
+            timeout = null;
+            fn.apply(this, args);
+        }, wait);
+    };
+
+    debounced.cancel = () => {
+        clearTimeout(timeout);
+        timeout = null;
+    };
+
+    return debounced;
+}
+
+/**
+ * Limits calls to at most one per interval
+ * @param {Function} fn - Function to throttle
+ * @param {number} wait - Interval in milliseconds
+ * @returns {Function} Throttled function
+ */
+export function throttle(fn, wait) {
+    let lastCall = 0;
+    let timeout = null;
+    let lastArgs = null;
+    let lastThis = null;
+
+    return function (...args) {
+        const remaining = wait - (Date.now() - lastCall);
+
+        // The trailing call uses the latest arguments, not the ones that scheduled it
+        lastArgs = args;
+        lastThis = this;
+
+        if (remaining <= 0) {
+            clearTimeout(timeout);
+            timeout = null;
+            lastCall = Date.now();
+            fn.apply(this, args);
+        } else if (!timeout) {
+            // Trailing call so the last update is never lost
+            timeout = setTimeout(() => {
+                timeout = null;
+                lastCall = Date.now();
+                fn.apply(lastThis, lastArgs);
+            }, remaining);
+        }
+    };
+}
+
+/**
+ * Runs DOM updates in the next animation frame
+ * @param {Function} updates - Update callback, may be async
+ * @returns {Promise<void>} Resolves once the updates finish
+ */
+export function batchDOMUpdates(updates) {
+    return new Promise((resolve, reject) => {
+        requestAnimationFrame(async () => {
+            try {
+                await updates();
+                resolve();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    });
+}
+
+export const performance = {
+    debounce,
+    throttle,
+    batchDOMUpdates
+};
\ No newline at end of file
@@ -0,0 +1,235 @@
+/**
+ * Request Utilities
+ * Shared fetch layer with timeouts, retries and typed errors
+ */
+
+/**
+ * Base error for failed requests
+ * `type` is one of 'network', 'timeout', 'auth', 'not-found', 'http' or 'parse'
+ */
+export class RequestError extends Error {
+    constructor(message, { type = 'http', status = null, url = null, response = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'RequestError';
+        this.type = type;
+        this.status = status;
+        this.url = url;
+
+        // Unread failed response, for callers that need the error body
+        this.response = response;
+    }
+
+    /**
+     * Whether retrying may succeed
+     */
+    get isRetryable() {
+        return this.type === 'network' ||
+               this.type === 'timeout' ||
+               (this.type === 'http' && this.status >= 500);
+    }
+}
+
+export class NetworkError extends RequestError {
+    constructor(message, options = {}) {
+        super(message, { type: 'network', ...options });
+        this.name = 'NetworkError';
+    }
+}
+
+export class AuthError extends RequestError {
+    constructor(message, options = {}) {
+        super(message, { ...options, type: 'auth' });
+        this.name = 'AuthError';
+    }
+}
+
+export class NotFoundError extends RequestError {
+    constructor(message, options = {}) {
+        super(message, { ...options, type: 'not-found' });
+        this.name = 'NotFoundError';
+    }
+}
+
+export class ParseError extends RequestError {
+    constructor(message, options = {}) {
+        super(message, { ...options, type: 'parse' });
+        this.name = 'ParseError';
+    }
+}
+
+/**
+ * Creates the typed error for a failed response
+ * @param {Response} response - Fetch response
+ * @returns {RequestError}
+ */
+export function createResponseError(response) {
+    const message = `HTTP error! status: ${response.status}`;
+    const options = { status: response.status, url: response.url, response };
+
+    if (response.status === 401 || response.status === 403) {
+        return new AuthError(message, options);
+    }
+    if (response.status === 404) {
+        return new NotFoundError(message, options);
+    }
+    return new RequestError(message, options);
+}
+
+/**
+ * Parses a JSON response body
+ * @param {Response} response - Fetch response
+ * @returns {Promise<*>} Parsed data
+ */
+export async function parseJSON(response) {
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new ParseError(`Invalid JSON from ${response.url}`, {
+            status: response.status,
+            url: response.url,
+            cause: error
+        });
+    }
+}
+
+/**
+ * Request Client
+ * One per instance so every request can be cancelled on destroy
+ */
+export class RequestClient {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+        this.controller = new AbortController();
+    }
+
+    /**
+     * Fetches a URL, retrying network and 5xx failures with backoff
+     * @param {string} url - Request URL
+     * @param {Object} [options] - fetch options plus overrides
+     * @param {number} [options.timeout] - Per-attempt timeout in milliseconds
+     * @param {number} [options.retries] - Retry count for retryable failures
+     * @param {AbortSignal} [options.signal] - Caller signal
+     * @returns {Promise<Response>} Successful response
+     */
+    async fetch(url, options = {}) {
+        const {
+            timeout = this.config.request.timeout,
+            retries = this.config.request.retries,
+            signal = null,
+            ...fetchOptions
+        } = options;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.attempt(url, fetchOptions, timeout, signal);
+            } catch (error) {
+                if (!error.isRetryable || attempt >= retries) throw error;
+                await this.wait(this.getRetryDelay(attempt), signal);
+            }
+        }
+    }
+
+    /**
+     * Fetches and parses JSON
+     * @param {string} url - Request URL
+     * @param {Object} [options] - See fetch()
+     * @returns {Promise<*>} Parsed data
+     */
+    async fetchJSON(url, options = {}) {
+        return parseJSON(await this.fetch(url, options));
+    }
+
+    /**
+     * Performs a single attempt with its own timeout
+     * @private
+     */
+    async attempt(url, fetchOptions, timeout, signal) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+
+        // Caller and destroy() cancellation both abort the attempt
+        const signals = [signal, this.controller.signal].filter(Boolean);
+        signals.forEach(s => {
+            if (s.aborted) abort();
+            s.addEventListener('abort', abort, { once: true });
+        });
+
+        try {
+            const response = await fetch(url, {
+                ...fetchOptions,
+                signal: controller.signal
+            });
+
+            if (!response.ok) throw createResponseError(response);
+            return response;
+
+        } catch (error) {
+            if (error instanceof RequestError) throw error;
+
+            if (timedOut) {
+                throw new NetworkError(`Request timed out after ${timeout}ms`, {
+                    type: 'timeout',
+                    url,
+                    cause: error
+                });
+            }
+
+            // Cancellation keeps the native AbortError so callers can ignore it
+            if (error.name === 'AbortError') throw error;
+
+            throw new NetworkError(`Network error requesting ${url}`, { url, cause: error });
+
+        } finally {
+            clearTimeout(timer);
+            signals.forEach(s => s.removeEventListener('abort', abort));
+        }
+    }
+
+    /**
+     * Gets the exponential backoff delay for an attempt, with jitter
+     * @private
+     */
+    getRetryDelay(attempt) {
+        const { retryDelay, maxRetryDelay } = this.config.request;
+        const delay = Math.min(retryDelay * Math.pow(2, attempt), maxRetryDelay);
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    /**
+     * Waits between retries, rejecting when cancelled
+     * @private
+     */
+    wait(delay, signal) {
+        const signals = [signal, this.controller.signal].filter(Boolean);
+
+        return new Promise((resolve, reject) => {
+            const cancel = () => {
+                clearTimeout(timer);
+                reject(new DOMException('Request aborted', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signals.forEach(s => s.removeEventListener('abort', cancel));
+                resolve();
+            }, delay);
+
+            signals.forEach(s => {
+                if (s.aborted) cancel();
+                s.addEventListener('abort', cancel, { once: true });
+            });
+        });
+    }
+
+    /**
+     * Aborts every in-flight request
+     */
+    destroy() {
+        this.controller.abort();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,294 @@
+/**
+ * Sanitization Utilities
+ * Allow-list HTML sanitizing, style scoping and text escaping
+ */
+
+// Removed together with their content, whatever the policy allows
+const DROP_WITH_CONTENT = new Set([
+    'script', 'style', 'template', 'noscript', 'iframe', 'frame', 'frameset',
+    'object', 'embed', 'applet', 'link', 'meta', 'base', 'title', 'head'
+]);
+
+// Attributes holding URLs that must pass the protocol check
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'poster', 'xlink:href', 'formaction']);
+
+/**
+ * Escapes text for use inside HTML markup
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Sanitizes an HTML fragment against an allow-list policy
+ * Styles are pulled out and scoped, scripts are stripped unless the policy opts in
+ * @param {string} html - Untrusted HTML
+ * @param {Object} policy - config.sanitize
+ * @returns {Object} { html, styles: [{id, css}], scripts: [{src, text}] }
+ */
+export function sanitizeHTML(html, policy) {
+    // DOMParser documents are inert, nothing runs or loads while parsing
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    const styles = [];
+    const scripts = [];
+
+    const allowedTags = new Set(policy.allowedTags);
+
+    const walk = parent => {
+        Array.from(parent.children).forEach(element => {
+            const tag = element.tagName.toLowerCase();
+
+            if (tag === 'style') {
+                if (policy.allowStyles) {
+                    collectStyle(element.textContent, policy.styleScope, styles);
+                }
+                element.remove();
+                return;
+            }
+
+            if (tag === 'script') {
+                if (policy.scripts === 'execute') {
+                    collectScript(element, policy, scripts);
+                }
+                element.remove();
+                return;
+            }
+
+            if (DROP_WITH_CONTENT.has(tag) && !allowedTags.has(tag)) {
+                element.remove();
+                return;
+            }
+
+            walk(element);
+
+            // Unknown wrappers keep their (already sanitized) children
+            if (!allowedTags.has(tag)) {
+                element.replaceWith(...element.childNodes);
+                return;
+            }
+
+            sanitizeAttributes(element, tag, policy);
+        });
+    };
+
+    walk(doc.body);
+
+    return {
+        html: doc.body.innerHTML,
+        styles,
+        scripts
+    };
+}
+
+/**
+ * Removes attributes outside the allow-list and unsafe URLs
+ * @private
+ */
+function sanitizeAttributes(element, tag, policy) {
+    const global = policy.allowedAttributes['*'] || [];
+    const specific = policy.allowedAttributes[tag] || [];
+
+    Array.from(element.attributes).forEach(({ name, value }) => {
+        const attribute = name.toLowerCase();
+
+        const isAllowed = attribute.startsWith('data-') ||
+            attribute.startsWith('aria-') ||
+            global.includes(attribute) ||
+            specific.includes(attribute);
+
+        // Event handlers are never allowed
+        if (!isAllowed || attribute.startsWith('on')) {
+            element.removeAttribute(name);
+            return;
+        }
+
+        if (URL_ATTRIBUTES.has(attribute) && !isSafeURL(value, policy.allowedProtocols)) {
+            element.removeAttribute(name);
+            return;
+        }
+
+        if (attribute === 'style' && !isSafeStyle(value, policy)) {
+            element.removeAttribute(name);
+        }
+    });
+
+    // New windows must not get a handle back to this page
+    if (tag === 'a' && element.getAttribute('target') === '_blank') {
+        element.setAttribute('rel', 'noopener noreferrer');
+    }
+}
+
+/**
+ * Checks a URL against allowed protocols, relative URLs always pass
+ * @private
+ */
+function isSafeURL(value, allowedProtocols) {
+    // Browsers ignore control characters and whitespace inside schemes
+    const url = value.replace(/[\u0000- ]/g, '');
+    const match = url.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!match) return true;
+
+    return allowedProtocols.includes(match[1].toLowerCase());
+}
+
+/**
+ * Checks inline styles for script URLs and legacy expressions
+ * @private
+ */
+function isSafeStyle(value, policy) {
+    if (!policy.allowStyles) return false;
+    return !/expression\s*\(|javascript:|behavior\s*:/i.test(value);
+}
+
+/**
+ * Scopes a style block and adds it unless an identical block was collected
+ * @private
+ */
+function collectStyle(css, scope, styles) {
+    const scoped = scopeCSS(css, scope);
+    if (!scoped) return;
+
+    const id = `circular-nav-style-${hashString(scoped)}`;
+    if (!styles.some(style => style.id === id)) {
+        styles.push({ id, css: scoped });
+    }
+}
+
+/**
+ * Records a script for explicit opt-in execution
+ * @private
+ */
+function collectScript(element, policy, scripts) {
+    const src = element.getAttribute('src');
+
+    if (src) {
+        if (isSafeURL(src, policy.allowedProtocols)) {
+            scripts.push({ src, text: null });
+        }
+    } else if (element.textContent.trim()) {
+        scripts.push({ src: null, text: element.textContent });
+    }
+}
+
+/**
+ * Fingerprints a sanitize policy
+ * Content sanitized under one policy must not be served once the policy changes
+ * @param {Object} policy - config.sanitize
+ * @returns {string} Short hash of the policy
+ */
+export function hashPolicy(policy) {
+    return hashString(JSON.stringify(policy ?? null));
+}
+
+/**
+ * Prefixes every selector in a stylesheet with a scope selector
+ * @param {string} css - Stylesheet text
+ * @param {string} scope - Scope selector
+ * @returns {string} Scoped stylesheet text
+ */
+export function scopeCSS(css, scope) {
+    return Array.from(parseStyleSheet(css)?.cssRules || [])
+        .map(rule => scopeRule(rule, scope))
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Parses CSS without applying it to the page
+ * @private
+ */
+function parseStyleSheet(css) {
+    if (typeof CSSStyleSheet === 'function' && 'replaceSync' in CSSStyleSheet.prototype) {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+        return sheet;
+    }
+
+    // Older browsers parse in a detached document instead
+    const doc = document.implementation.createHTMLDocument('');
+    const style = doc.createElement('style');
+    style.textContent = css;
+    doc.head.appendChild(style);
+    return style.sheet;
+}
+
+/**
+ * Scopes a rule, recursing into @media and @supports blocks
+ * @private
+ */
+function scopeRule(rule, scope) {
+    // Imports could pull in unscoped styles
+    if (rule.type === CSSRule.IMPORT_RULE) return '';
+
+    if (rule.type === CSSRule.STYLE_RULE) {
+        rule.selectorText = scopeSelector(rule.selectorText, scope);
+        return rule.cssText;
+    }
+
+    if (rule.cssRules && rule.type !== CSSRule.KEYFRAMES_RULE) {
+        Array.from(rule.cssRules).forEach(inner => scopeRule(inner, scope));
+    }
+    return rule.cssText;
+}
+
+/**
+ * Scopes a selector list
+ * Document-level selectors map onto the scope itself
+ * @private
+ */
+function scopeSelector(selectorText, scope) {
+    return splitSelectors(selectorText)
+        .map(selector => {
+            const rootMatch = selector.match(/^(html|body|:root)\b\s*/);
+            if (rootMatch) {
+                const rest = selector.slice(rootMatch[0].length);
+                return rest ? `${scope} ${rest}` : scope;
+            }
+            return `${scope} ${selector}`;
+        })
+        .join(', ');
+}
+
+/**
+ * Splits a selector list on top-level commas only
+ * @private
+ */
+function splitSelectors(selectorText) {
+    const selectors = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of selectorText) {
+        if (char === '(' || char === '[') depth++;
+        if (char === ')' || char === ']') depth--;
+
+        if (char === ',' && depth === 0) {
+            selectors.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    selectors.push(current.trim());
+
+    return selectors.filter(Boolean);
+}
+
+/**
+ * Hashes a string for stable style ids and policy fingerprints
+ * @private
+ */
+function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+}
\ No newline at end of file
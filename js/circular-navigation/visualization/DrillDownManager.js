@@ -0,0 +1,226 @@
+/**
+ * Drill Down Manager
+ * Handles re-rooting the wheel on deeper nodes and walking back up
+ */
+
+import { processHierarchicalData } from '../utils/calculations';
+
+export class DrillDownManager {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+
+        // Raw data nodes from the top-level root down to the current root
+        this.path = [];
+        this.isDrilling = false;
+    }
+
+    /**
+     * Initializes the drill path from loaded data
+     */
+    init() {
+        const rawData = this.parent.state.getRawData();
+        this.path = rawData ? [rawData] : [];
+    }
+
+    /**
+     * Checks whether a node can become the new root
+     * @param {Object} node - D3 hierarchy node
+     * @returns {boolean}
+     */
+    canDrillInto(node) {
+        const { enabled, hiddenOnly } = this.config.drillDown;
+        if (!enabled || !node || this.isDrilling) return false;
+        if (node.depth !== 1 && node.depth !== 2) return false;
+        if (!node.children?.length) return false;
+
+        // Only re-root when the node has levels the wheel cannot show
+        return !hiddenOnly || node.depth + node.height > 2;
+    }
+
+    /**
+     * Checks whether the wheel is drilled below the top-level root
+     * @returns {boolean}
+     */
+    canDrillUp() {
+        return this.path.length > 1;
+    }
+
+    /**
+     * Gets the raw data of the current root
+     */
+    getCurrentRoot() {
+        return this.path[this.path.length - 1] || null;
+    }
+
+    /**
+     * Gets the raw data of the current root's parent
+     */
+    getParentRoot() {
+        return this.path[this.path.length - 2] || null;
+    }
+
+    /**
+     * Re-roots the wheel on a node
+     * @param {Object} node - D3 hierarchy node
+     * @returns {Promise<void>}
+     */
+    async drillDown(node) {
+        if (!this.canDrillInto(node)) return;
+
+        // Depth-2 nodes bring their parent into the path as well
+        const trail = node.ancestors().reverse().slice(1).map(n => n.data);
+        await this.reroot([...this.path, ...trail], node);
+    }
+
+    /**
+     * Re-roots the wheel on the current root's parent
+     * @returns {Promise<void>}
+     */
+    async drillUp() {
+        if (!this.canDrillUp() || this.isDrilling) return;
+        await this.reroot(this.path.slice(0, -1), null);
+    }
+
+    /**
+     * Re-roots the wheel on any node of the full hierarchy
+     * @param {string|number} id - Node ID
+     * @returns {Promise<boolean>} Whether the node was found
+     */
+    async drillTo(id) {
+        if (!this.path.length || this.isDrilling) return false;
+
+        const target = d3.hierarchy(this.path[0]).find(n => String(n.data.id) === String(id));
+        if (!target) return false;
+
+        await this.reroot(target.ancestors().reverse().map(n => n.data), null);
+        return true;
+    }
+
+    /**
+     * Finds a node anywhere in the full hierarchy
+     * @param {string|number} idOrSlug - Node ID or slug
+     * @returns {Object|null} D3 hierarchy node of the full tree
+     */
+    findNode(idOrSlug) {
+        if (!this.path.length) return null;
+        return d3.hierarchy(this.path[0]).find(n => matchesNode(n.data, idOrSlug)) || null;
+    }
+
+    /**
+     * Finds a node rendered on the current wheel
+     * @param {string|number} idOrSlug - Node ID or slug
+     * @returns {Object|null} D3 hierarchy node of the current wheel
+     */
+    findOnWheel(idOrSlug) {
+        return this.parent.state.getData()
+            ?.find(n => n.depth <= 2 && matchesNode(n.data, idOrSlug)) || null;
+    }
+
+    /**
+     * Finds a node on the wheel, re-rooting first when it sits below the rendered rings
+     * @param {string|number} idOrSlug - Node ID or slug
+     * @returns {Promise<Object|null>} D3 hierarchy node of the current wheel
+     */
+    async reveal(idOrSlug) {
+        const node = this.findOnWheel(idOrSlug);
+        if (node) return node;
+
+        // Deep nodes become visible once their parent is the root
+        const target = this.findNode(idOrSlug);
+        if (!target?.parent) return null;
+
+        const drilled = await this.drillTo(target.parent.data.id);
+        return drilled ? this.findOnWheel(idOrSlug) : null;
+    }
+
+    /**
+     * Swaps the rendered hierarchy for a new root
+     * @private
+     */
+    async reroot(path, originNode) {
+        this.isDrilling = true;
+        const direction = path.length >= this.path.length ? 'down' : 'up';
+
+        try {
+            await this.transitionOut(originNode);
+
+            this.path = path;
+            const root = this.getCurrentRoot();
+
+            // Lazily loaded hierarchies may not have the new rings yet
+            await this.parent.lazy.ensureRings(root);
+
+            await this.parent.state.updateState({
+                data: processHierarchicalData(root, this.config),
+                drillRoot: this.canDrillUp() ? root.id : null,
+                selectedNode: null
+            });
+
+            await this.parent.viz.rebuild();
+            await this.transitionIn();
+
+            this.parent.container.dispatchEvent(new CustomEvent('drill:change', {
+                detail: { root, direction, depth: this.path.length - 1 },
+                bubbles: true
+            }));
+
+        } finally {
+            this.isDrilling = false;
+        }
+    }
+
+    /**
+     * Dives into the origin node (or pulls back) while fading out
+     * @private
+     */
+    async transitionOut(originNode) {
+        const duration = this.config.drillDown.duration / 2;
+        const zoom = originNode ?
+            this.parent.zoom.zoomToNode(originNode, this.config.zoom.max, duration) :
+            this.parent.zoom.scaleTo(this.config.zoom.min, duration);
+
+        await Promise.all([zoom, this.fade(0, duration)]);
+    }
+
+    /**
+     * Fades the new root in at the identity transform
+     * @private
+     */
+    async transitionIn() {
+        const duration = this.config.drillDown.duration / 2;
+
+        await this.parent.zoom.resetZoom(0);
+        await this.fade(1, duration);
+    }
+
+    /**
+     * Fades the zoom container
+     * @private
+     */
+    fade(opacity, duration) {
+        const transition = this.parent.viz.zoomContainer
+            .transition('drill')
+            .duration(duration)
+            .style('opacity', opacity);
+
+        return transition.end().catch(() => {});
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.path = [];
+        this.isDrilling = false;
+    }
+}
+
+/**
+ * Checks whether node data matches an ID or slug
+ * @private
+ */
+function matchesNode(nodeData, idOrSlug) {
+    const key = String(idOrSlug);
+    return String(nodeData.id) === key || (!!nodeData.slug && nodeData.slug === key);
+}
\ No newline at end of file
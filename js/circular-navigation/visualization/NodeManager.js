@@ -3,6 +3,8 @@
  * Handles creation, updating, and interaction of all nodes
  */
 
+import { project, truncateText } from '../utils/calculations';
+
 export class NodeManager {
     constructor(parent) {
         this.parent = parent;
@@ -22,9 +24,9 @@ export class NodeManager {
         // Create node groups
         this.nodes = this.parent.viz.zoomContainer
             .selectAll('g.node')
-            .data(data.descendants().filter(d => d.depth < 2))
+            .data(data.descendants().filter(d => d.depth < 2), d => d.data.id)
             .join('g')
-            .attr('class', d => `node depth-${d.depth}-node`);
+            .attr('class', d => this.getNodeClass(d));
 
         // Create foreignObjects for content
         this.createNodeContent();
@@ -32,17 +34,42 @@ export class NodeManager {
         // Setup interactions
         this.setupNodeInteractions();
 
+        // Add "go up" control when drilled below the top-level root
+        this.createDrillUpControl();
+
         // Initial positioning
         this.updateNodePositions();
+
+        // Let plugins decorate the rendered nodes
+        this.parent.plugins.call('nodeRendered', { selection: this.nodes, type: 'node' });
+    }
+
+    /**
+     * Gets the class list for a node group
+     * @private
+     */
+    getNodeClass(d) {
+        const classes = ['node', `depth-${d.depth}-node`];
+        if (d.data.type === 'link') classes.push('link-node');
+        if (d.data.external) classes.push('external-node');
+        if (d.data.access) classes.push('locked-node', `access-${d.data.access}`);
+        return classes.join(' ');
     }
 
     /**
      * Creates node content using foreignObject
+     * @param {d3.Selection} [selection] - Node groups, defaults to all nodes
      * @private
      */
-    createNodeContent() {
+    createNodeContent(selection = this.nodes) {
+        // Sunburst segments are the nodes, only their labels are drawn here
+        if (this.parent.viz.isSunburst()) {
+            this.createSegmentLabels(selection);
+            return;
+        }
+
         // Create foreignObject containers
-        const foreignObjects = this.nodes
+        const foreignObjects = selection
             .append('foreignObject')
             .attr('class', d => `node-foreignObject ${d.depth === 0 ? 'central-node' : ''}`);
 
@@ -57,31 +84,129 @@ export class NodeManager {
             .style('box-sizing', 'border-box')
             .text(d => d.data.name);
 
+        // Lock badge for restricted nodes
+        foreignObjects
+            .filter(d => d.data.access)
+            .select('.node-content')
+            .call(content => this.appendLockBadge(content));
+
         // Set initial sizes
         this.updateNodeSizes();
     }
 
+    /**
+     * Creates labels centred in sunburst segments
+     * @param {d3.Selection} selection - Node groups
+     * @private
+     */
+    createSegmentLabels(selection) {
+        selection.append('title');
+        selection.append('text')
+            .attr('class', d => `segment-label ${d.depth === 0 ? 'central' : ''}`)
+            .attr('text-anchor', 'middle')
+            .attr('dy', '0.35em')
+            .style('pointer-events', 'none')
+            .style('fill', d => this.getNodeTextColor(d, null));
+
+        this.updateNodeSizes();
+    }
+
+    /**
+     * Fits segment labels to their segments, the full name moves to a tooltip
+     * @private
+     */
+    updateSegmentLabels(dimensions) {
+        const display = this.parent.display;
+        const padding = this.config.sunburst.ringPadding;
+
+        this.nodes.each((d, i, nodes) => {
+            const node = d3.select(nodes[i]);
+            const fontSize = d.depth === 0 ? dimensions.text.central : dimensions.text.primary;
+
+            // The centre fills a circle, ring segments fit the chord through their middle
+            const width = d.depth === 0 ?
+                2 * display.scaleRadius(d.y1 - padding) :
+                2 * display.scaleRadius(d.y) * Math.sin(Math.min(d.x1 - d.x0, Math.PI) / 2);
+            const text = truncateText(d.data.name, width * 0.9, fontSize);
+
+            node.select('.segment-label')
+                .style('font-size', `${fontSize}px`)
+                .text(text);
+            node.select('title')
+                .text(text === d.data.name ? '' : d.data.name);
+
+            if (d.depth === 0) {
+                node.select('.drill-up-control')
+                    .attr('transform', `translate(0,${-display.scaleRadius(d.y1 - padding) / 2})`);
+            }
+        });
+    }
+
+    /**
+     * Creates the "go up" control on the central node
+     * @private
+     */
+    createDrillUpControl() {
+        const parentRoot = this.parent.drill.getParentRoot();
+        if (!parentRoot) return;
+
+        const radius = this.config.drillDown.controlRadius;
+        const control = this.nodes
+            .filter(d => d.depth === 0)
+            .append('g')
+            .attr('class', 'drill-up-control')
+            .attr('role', 'button')
+            .attr('tabindex', 0)
+            .attr('aria-label', `Go up to ${parentRoot.name}`)
+            .style('cursor', 'pointer')
+            .on('click', event => {
+                event.stopPropagation();
+                this.handleDrillUp();
+            })
+            .on('keydown', event => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    this.handleDrillUp();
+                }
+            });
+
+        control.append('title')
+            .text(`Up to ${parentRoot.name}`);
+
+        control.append('circle')
+            .attr('class', 'drill-up-indicator')
+            .attr('r', radius)
+            .style('fill', this.config.colors.node.active);
+
+        control.append('path')
+            .attr('class', 'drill-up-arrow')
+            .attr('d', `M${-radius / 3},${radius / 6}L0,${-radius / 4}L${radius / 3},${radius / 6}`)
+            .style('fill', 'none')
+            .style('stroke', this.config.colors.text.active)
+            .style('stroke-width', 2);
+    }
+
     /**
      * Sets up node interactions
+     * @param {d3.Selection} [selection] - Node groups, defaults to all nodes
      * @private
      */
-    setupNodeInteractions() {
-        this.nodes
+    setupNodeInteractions(selection = this.nodes) {
+        selection
             // Click handling
             .on('click', (event, d) => {
                 event.stopPropagation();
-                if (!this.parent.state.isTransitioning) {
-                    this.handleNodeClick(d);
-                }
+                this.handleNodeClick(d);
             })
             // Hover effects
             .on('mouseover', (event, d) => {
-                if (!this.parent.state.isTransitioning) {
+                if (!this.parent.state.isTransitioning()) {
                     this.handleNodeHover(d, true);
                 }
             })
             .on('mouseout', (event, d) => {
-                if (!this.parent.state.isTransitioning) {
+                if (!this.parent.state.isTransitioning()) {
                     this.handleNodeHover(d, false);
                 }
             })
@@ -104,6 +229,11 @@ export class NodeManager {
             .classed('active', n => this.isActiveNode(n, selectedNode))
             .classed('sibling', n => this.isSiblingNode(n, selectedNode));
 
+        this.nodes.select('.segment-label')
+            .transition()
+            .duration(this.config.animation.duration)
+            .style('fill', n => this.getNodeTextColor(n, selectedNode));
+
         // Update node content styles
         this.nodes.select('.node-content')
             .transition()
@@ -162,6 +292,11 @@ export class NodeManager {
             dimensions = this.parent.display.calculateDimensions();
         }
 
+        if (this.parent.viz.isSunburst()) {
+            this.updateSegmentLabels(dimensions);
+            return;
+        }
+
         this.nodes.each((d, i, nodes) => {
             const node = d3.select(nodes[i]);
             const fo = node.select('foreignObject');
@@ -178,6 +313,9 @@ export class NodeManager {
                 div.style('width', `${size}px`)
                    .style('height', `${size}px`)
                    .style('font-size', `${dimensions.text.central}px`);
+
+                node.select('.drill-up-control')
+                    .attr('transform', `translate(0,${-size / 2})`);
             } else {
                 // Other nodes
                 const nodeSize = d.depth === 1 ? 
@@ -218,14 +356,7 @@ export class NodeManager {
      */
     calculateNodePosition(node) {
         if (node.depth === 0) return [0, 0];
-        
-        const angle = node.x - Math.PI / 2;
-        const radius = node.y;
-        
-        return [
-            radius * Math.cos(angle),
-            radius * Math.sin(angle)
-        ];
+        return project(node.x, this.parent.display.scaleRadius(node.y));
     }
 
     /**
@@ -240,12 +371,27 @@ export class NodeManager {
         this.parent.container.dispatchEvent(event);
     }
 
+    /**
+     * Handles "go up" control activation
+     * @private
+     */
+    handleDrillUp() {
+        const event = new CustomEvent('node:drillup', {
+            bubbles: true
+        });
+        this.parent.container.dispatchEvent(event);
+    }
+
     /**
      * Handles node hover events
      * @private
      */
     handleNodeHover(node, isEnter) {
         if (isEnter) {
+            // Fetch children early so they are ready on selection
+            this.parent.lazy.prefetch(node);
+            this.parent.preload.hoverStart(node);
+
             // Scale up
             this.nodes
                 .filter(d => d === node)
@@ -256,6 +402,8 @@ export class NodeManager {
                     return `translate(${x},${y}) scale(1.1)`;
                 });
         } else {
+            this.parent.preload.hoverEnd(node);
+
             // Scale back
             this.nodes
                 .filter(d => d === node)
@@ -273,39 +421,142 @@ export class NodeManager {
      * @param {Object} data - New data
      */
     update(data) {
-        if (!data) return;
+        // Resized, the radius changed but the nodes did not
+        if (!data) {
+            if (this.nodes) {
+                this.updateNodeSizes();
+                this.updateNodePositions();
+            }
+            return;
+        }
 
         // Update data binding
-        this.nodes = this.parent.viz.zoomContainer
+        const nodes = this.parent.viz.zoomContainer
             .selectAll('g.node')
             .data(data.descendants().filter(d => d.depth < 2), d => d.data.id);
 
-        // Handle enter/exit
-        const nodeEnter = this.nodes.enter()
+        // New nodes grow out of their parent's position
+        const nodeEnter = nodes.enter()
             .append('g')
-            .attr('class', d => `node depth-${d.depth}-node`);
-
-        // Create content for new nodes
-        nodeEnter.each((d, i, nodes) => {
-            const node = d3.select(nodes[i]);
-            this.createNodeContent.call(this, node);
-        });
+            .attr('class', d => this.getNodeClass(d))
+            .attr('transform', d => {
+                const [x, y] = d.parent ? this.calculateNodePosition(d.parent) : [0, 0];
+                return `translate(${x},${y})`;
+            })
+            .style('opacity', 0);
 
-        // Setup interactions for new nodes
-        nodeEnter.each((d, i, nodes) => {
-            const node = d3.select(nodes[i]);
-            this.setupNodeInteractions.call(this, node);
-        });
+        // Create content and interactions for new nodes
+        this.createNodeContent(nodeEnter);
+        this.setupNodeInteractions(nodeEnter);
 
-        // Remove old nodes
-        this.nodes.exit().remove();
+        // Fade out removed nodes
+        nodes.exit()
+            .transition()
+            .duration(this.config.animation.duration / 2)
+            .style('opacity', 0)
+            .remove();
 
         // Update all nodes
-        this.nodes = nodeEnter.merge(this.nodes);
+        this.nodes = nodeEnter.merge(nodes)
+            .attr('class', d => this.getNodeClass(d));
 
         // Update positions and sizes
         this.updateNodeSizes();
         this.updateNodePositions();
+
+        // Cut short, new nodes are shown at once rather than left faded
+        const transition = nodeEnter
+            .transition('enter')
+            .duration(this.config.animation.duration)
+            .style('opacity', 1)
+            .on('interrupt', function() {
+                d3.select(this).style('opacity', 1);
+            });
+        this.parent.viz.trackTransition(transition, 'enter');
+
+        if (!nodeEnter.empty()) {
+            this.parent.plugins.call('nodeRendered', { selection: nodeEnter, type: 'node' });
+        }
+    }
+
+    /**
+     * Shows or hides the loading ring on a node
+     * @param {string|number} id - Node ID
+     * @param {boolean} isLoading - Loading state
+     */
+    setLoading(id, isLoading) {
+        if (!this.nodes) return;
+
+        const node = this.nodes.filter(d => d.data.id === id);
+        node.classed('loading', isLoading);
+        node.select('.loading-indicator').remove();
+
+        if (!isLoading || node.empty()) return;
+
+        const fo = node.select('foreignObject');
+        const size = fo.empty() ?
+            this.config.drillDown.controlRadius * 2 :
+            Math.max(+fo.attr('width'), +fo.attr('height'));
+        const indicator = node.append('circle')
+            .attr('class', 'loading-indicator')
+            .attr('r', size / 2 + 4)
+            .style('fill', 'none')
+            .style('stroke', this.config.colors.path.active)
+            .style('stroke-width', 2)
+            .style('stroke-dasharray', '6,6')
+            .style('pointer-events', 'none');
+
+        this.startLoadingAnimation(indicator);
+    }
+
+    /**
+     * Marks a node as locked after access was refused
+     * @param {string|number} id - Node ID
+     * @param {string} access - 'password', 'private' or 'draft'
+     */
+    setLocked(id, access) {
+        if (!this.nodes) return;
+
+        const node = this.nodes.filter(d => d.data.id === id);
+        if (node.empty()) return;
+
+        // Stored on the data so rebuilds keep the mark
+        node.each(d => { d.data.access = access; });
+        node.attr('class', d => this.getNodeClass(d));
+
+        const content = node.select('.node-content');
+        content.select('.node-lock').remove();
+        this.appendLockBadge(content);
+    }
+
+    /**
+     * Appends the lock badge to node content
+     * @private
+     */
+    appendLockBadge(content) {
+        content.append('xhtml:span')
+            .attr('class', 'node-lock')
+            .attr('role', 'img')
+            .attr('aria-label', d => d.data.access === 'password' ? 'Password protected' : 'Restricted')
+            .text('🔒');
+    }
+
+    /**
+     * Rotates the loading ring dash pattern until removed
+     * @private
+     */
+    startLoadingAnimation(indicator) {
+        indicator
+            .style('stroke-dashoffset', 0)
+            .transition()
+            .duration(1000)
+            .ease(d3.easeLinear)
+            .style('stroke-dashoffset', -24)
+            .on('end', () => {
+                if (indicator.node().isConnected) {
+                    this.startLoadingAnimation(indicator);
+                }
+            });
     }
 
     /**
@@ -3,10 +3,22 @@
  * Handles creation, updating, and interaction of outer indicators and labels
  */
 
+import { escapeHTML } from '../utils/sanitize';
+import {
+    project,
+    calculateTextWidth,
+    calculateBoundaries,
+    calculateReach,
+    resolveLabelCollisions,
+    truncateText
+} from '../utils/calculations';
+
 export class OuterElementManager {
     constructor(parent) {
         this.parent = parent;
         this.config = parent.config;
+        this.outerGroup = null;
+        this.leaderGroup = null;
         this.indicators = null;
         this.labels = null;
         this.activeTransitions = new Set();
@@ -24,18 +36,30 @@ export class OuterElementManager {
         const outerNodes = data.descendants().filter(d => d.depth === 2);
 
         // Create container for outer elements
-        const outerGroup = this.parent.viz.zoomContainer
+        this.outerGroup = this.parent.viz.zoomContainer
             .append('g')
             .attr('class', 'outer-elements');
 
+        // Leader lines sit below indicators and labels
+        this.leaderGroup = this.outerGroup
+            .append('g')
+            .attr('class', 'label-leaders');
+
         // Create indicators
-        await this.createIndicators(outerGroup, outerNodes);
+        await this.createIndicators(this.outerGroup, outerNodes);
 
         // Create labels
-        await this.createLabels(outerGroup, outerNodes);
+        await this.createLabels(this.outerGroup, outerNodes);
 
         // Setup interactions
         this.setupInteractions();
+
+        // Let plugins decorate the rendered elements
+        this.parent.plugins.call('nodeRendered', {
+            selection: this.indicators,
+            labels: this.labels,
+            type: 'outer'
+        });
     }
 
     /**
@@ -45,20 +69,37 @@ export class OuterElementManager {
     async createIndicators(container, nodes) {
         // Create indicator groups
         this.indicators = container.selectAll('g.indicator-group')
-            .data(nodes)
+            .data(this.getIndicatorNodes(nodes), d => d.data.id)
             .join('g')
             .attr('class', 'indicator-group')
             .attr('transform', d => this.calculateIndicatorPosition(d));
 
+        this.createIndicatorShapes(this.indicators);
+    }
+
+    /**
+     * Gets the nodes that get an indicator
+     * Sunburst segments already mark the outer nodes
+     * @private
+     */
+    getIndicatorNodes(nodes) {
+        return this.parent.viz.isSunburst() ? [] : nodes;
+    }
+
+    /**
+     * Creates indicator circles inside indicator groups
+     * @private
+     */
+    createIndicatorShapes(selection) {
         // Create inner indicators
-        this.indicators.append('circle')
+        selection.append('circle')
             .attr('class', 'outer-indicator')
             .attr('r', this.config.indicator.inner.radius)
             .attr('cx', 0)
             .attr('cy', 0);
 
         // Create indicator outlines
-        this.indicators.append('circle')
+        selection.append('circle')
             .attr('class', 'indicator-outline')
             .attr('r', this.config.indicator.outer.radius)
             .attr('cx', 0)
@@ -67,7 +108,7 @@ export class OuterElementManager {
             .style('opacity', 0);
 
         // Set initial styles
-        this.indicators.select('.outer-indicator')
+        selection.select('.outer-indicator')
             .style('fill', this.config.colors.indicator.default);
     }
 
@@ -77,24 +118,273 @@ export class OuterElementManager {
      */
     async createLabels(container, nodes) {
         // Create label containers
-        this.labels = container.selectAll('foreignObject.outer-text-container')
-            .data(nodes)
-            .join('foreignObject')
+        this.labels = container.selectAll('.outer-text-container')
+            .data(nodes, d => d.data.id)
+            .join(this.getLabelTag())
             .attr('class', 'outer-text-container');
 
-        // Calculate and set dimensions
-        nodes.forEach((node, i) => {
-            const labelData = this.calculateLabelLayout(node);
-            
+        this.renderLabels(this.labels);
+    }
+
+    /**
+     * Gets the outer label orientation
+     * @private
+     * @returns {string} 'horizontal', 'radial', 'curved' or 'inside' for sunburst segments
+     */
+    getOrientation() {
+        if (this.parent.viz.isSunburst()) return 'inside';
+        return this.config.text.orientation;
+    }
+
+    /**
+     * Gets the element wrapping each label
+     * Horizontal labels are HTML boxes, the other orientations are SVG text
+     * @private
+     */
+    getLabelTag() {
+        return this.getOrientation() === 'horizontal' ? 'foreignObject' : 'g';
+    }
+
+    /**
+     * Lays out and renders label content
+     * @private
+     */
+    renderLabels(selection) {
+        if (this.getOrientation() !== 'horizontal') {
+            this.renderTextLabels(selection);
+            this.renderLeaders([]);
+            return;
+        }
+
+        const layouts = new Map();
+        selection.each(node => {
+            layouts.set(node, this.calculateLabelLayout(node));
+        });
+
+        this.placeLabels([...layouts.values()]);
+
+        selection.each((node, i, elements) => {
+            const labelData = layouts.get(node);
+
             // Update container position and size
-            const label = this.labels.filter(d => d === node);
-            label
+            d3.select(elements[i])
+                .classed('truncated', !!labelData.truncated)
                 .attr('width', labelData.width)
                 .attr('height', labelData.height)
                 .attr('x', labelData.x)
                 .attr('y', labelData.y)
                 .html(d => this.createLabelContent(d, labelData));
         });
+
+        this.renderLeaders([...layouts.values()]);
+    }
+
+    /**
+     * Renders labels as SVG text along the radius or the ring
+     * Text is cut to the room it has, the full name moves to a tooltip
+     * @private
+     */
+    renderTextLabels(selection) {
+        const fontSize = this.parent.display.lastDimensions.text.secondary;
+        const offset = this.config.text.labelOffset;
+        const orientation = this.getOrientation();
+        const isCurved = orientation === 'curved';
+
+        selection.each((node, i, elements) => {
+            const group = d3.select(elements[i]);
+            const radius = this.parent.display.scaleRadius(node.y) +
+                this.config.indicator.outer.radius + offset;
+            let layout;
+            if (orientation === 'inside') {
+                layout = this.calculateSegmentLayout(node, offset);
+            } else {
+                layout = isCurved ?
+                    this.calculateCurvedLayout(node, radius, fontSize) :
+                    this.calculateRadialLayout(node, radius);
+            }
+
+            const name = node.data.name;
+            const text = truncateText(name, layout.length, fontSize);
+
+            group.selectAll('*').remove();
+            group.classed('truncated', text !== name);
+            if (text !== name) {
+                group.append('title').text(name);
+            }
+
+            const label = group.append('text')
+                .attr('class', 'outer-text')
+                .style('font-size', `${fontSize}px`)
+                .style('fill', this.config.colors.text.default);
+
+            if (!isCurved) {
+                label
+                    .attr('transform', layout.transform)
+                    .attr('text-anchor', layout.anchor)
+                    .attr('dy', '0.35em')
+                    .text(text);
+                return;
+            }
+
+            const pathId = `${this.parent.id}-label-path-${String(node.data.id).replace(/[^\w-]/g, '_')}`;
+            group.insert('path', 'text')
+                .attr('id', pathId)
+                .attr('d', layout.path)
+                .style('fill', 'none');
+
+            label.append('textPath')
+                .attr('href', `#${pathId}`)
+                .attr('startOffset', '50%')
+                .attr('text-anchor', 'middle')
+                .text(text);
+        });
+    }
+
+    /**
+     * Calculates a label rotated along the radius
+     * Labels on the left half are turned around so they read left-to-right
+     * @private
+     */
+    calculateRadialLayout(node, radius) {
+        const degrees = node.x * 180 / Math.PI - 90;
+        const isLeft = project(node.x, 1)[0] < 0;
+
+        // Room up to the edge of the viewBox
+        const viewBox = this.parent.viz.calculateViewBox(this.parent.display.lastDimensions);
+
+        return {
+            transform: `rotate(${degrees}) translate(${radius},0)${isLeft ? ' rotate(180)' : ''}`,
+            anchor: isLeft ? 'end' : 'start',
+            length: Math.max(0, calculateReach(node.x, viewBox) - radius)
+        };
+    }
+
+    /**
+     * Calculates a label running along the radius inside the node's segment
+     * @private
+     */
+    calculateSegmentLayout(node, offset) {
+        const display = this.parent.display;
+        const degrees = node.x * 180 / Math.PI - 90;
+        const isLeft = project(node.x, 1)[0] < 0;
+        const depth = node.y1 - node.y0 - this.config.sunburst.ringPadding;
+
+        return {
+            transform: `rotate(${degrees}) translate(${display.scaleRadius(node.y)},0)${isLeft ? ' rotate(180)' : ''}`,
+            anchor: 'middle',
+            length: Math.max(0, display.scaleRadius(depth) - offset * 2)
+        };
+    }
+
+    /**
+     * Calculates a label curved along the ring over the node's wedge
+     * Labels on the bottom half run counter-clockwise so they are not upside down
+     * @private
+     */
+    calculateCurvedLayout(node, radius, fontSize) {
+        const span = node.x1 - node.x0 || Math.PI / 16;
+        const isBottom = project(node.x, 1)[1] > 0;
+
+        // Bottom text hangs towards the centre, so it moves out by its height
+        const pathRadius = isBottom ? radius + fontSize * 0.8 : radius;
+        const [from, to] = isBottom ?
+            [node.x + span / 2, node.x - span / 2] :
+            [node.x - span / 2, node.x + span / 2];
+        const [sx, sy] = project(from, pathRadius);
+        const [ex, ey] = project(to, pathRadius);
+
+        return {
+            path: `M${sx},${sy}A${pathRadius},${pathRadius} 0 ${span > Math.PI ? 1 : 0} ${isBottom ? 0 : 1} ${ex},${ey}`,
+            length: pathRadius * span
+        };
+    }
+
+    /**
+     * Moves labels off each other and off inner nodes
+     * Labels that cannot be freed are truncated and placed again
+     * @private
+     * @param {Array} layouts - Layouts from calculateLabelLayout()
+     */
+    placeLabels(layouts) {
+        const placement = this.config.text.placement;
+        if (!placement.enabled || layouts.length === 0) return;
+
+        const dimensions = this.parent.display.lastDimensions;
+        const options = {
+            ...placement,
+            place: (label, angle, radius) => this.calculateTextPosition(angle, radius, label),
+            obstacles: this.parent.state.getData()
+                .descendants()
+                .filter(node => node.depth < 2)
+                .map(node => calculateBoundaries(node, dimensions))
+        };
+
+        const collisions = resolveLabelCollisions(layouts, options);
+        if (collisions.length > 0) {
+            collisions.forEach(label => this.truncateLabel(label, placement.truncateWidth));
+            resolveLabelCollisions(layouts, options);
+        }
+
+        // Labels pushed away from their indicator point back to it
+        layouts.forEach(label => {
+            const anchor = this.calculateTextPosition(label.angle, label.radius, label);
+            const moved = Math.hypot(label.x - anchor.x, label.y - anchor.y);
+
+            label.leader = moved > placement.leaderThreshold ? {
+                from: project(label.angle, label.radius),
+                to: project(label.placedAngle, label.placedRadius + this.config.text.spacing.base)
+            } : null;
+        });
+    }
+
+    /**
+     * Cuts label lines to a width, the full name moves to a tooltip
+     * @private
+     */
+    truncateLabel(layout, maxWidth) {
+        const fontSize = this.parent.display.lastDimensions.text.secondary;
+        const lines = layout.type === 'single' ?
+            [layout.text] :
+            [layout.firstLine, layout.secondLine];
+        const truncated = lines.map(line => truncateText(line, maxWidth, fontSize));
+
+        if (truncated.every((line, i) => line === lines[i])) return;
+
+        if (layout.type === 'single') {
+            [layout.text] = truncated;
+        } else {
+            [layout.firstLine, layout.secondLine] = truncated;
+        }
+        layout.width = this.measureLabel(truncated);
+        layout.truncated = true;
+    }
+
+    /**
+     * Measures the width of label lines at the current text size
+     * @private
+     */
+    measureLabel(lines) {
+        const fontSize = this.parent.display.lastDimensions.text.secondary;
+        return Math.ceil(Math.max(...lines.map(line => calculateTextWidth(line, fontSize))));
+    }
+
+    /**
+     * Draws leader lines for displaced labels
+     * @private
+     */
+    renderLeaders(layouts) {
+        if (!this.leaderGroup) return;
+
+        this.leaderGroup.selectAll('line.label-leader')
+            .data(layouts.filter(layout => layout.leader), d => d.node.data.id)
+            .join('line')
+            .attr('class', 'label-leader')
+            .attr('x1', d => d.leader.from[0])
+            .attr('y1', d => d.leader.from[1])
+            .attr('x2', d => d.leader.to[0])
+            .attr('y2', d => d.leader.to[1])
+            .style('stroke', this.config.colors.path.inactive)
+            .style('stroke-width', 1);
     }
 
     /**
@@ -103,29 +393,30 @@ export class OuterElementManager {
      */
     createLabelContent(node, layout) {
         const fontSize = this.parent.display.lastDimensions.text.secondary;
+        const title = layout.truncated ? ` title="${escapeHTML(node.data.name)}"` : '';
         
         if (layout.type === 'single') {
             return `
-                <div class="outer-text" style="
+                <div class="outer-text"${title} style="
                     width: ${layout.width}px;
                     height: ${layout.height}px;
                     font-size: ${fontSize}px;
                     line-height: ${fontSize * 1.2}px;
                 ">
-                    <div class="line-clamp-1">${node.data.name}</div>
+                    <div class="line-clamp-1">${escapeHTML(layout.text)}</div>
                 </div>
             `;
         }
 
         return `
-            <div class="outer-text" style="
+            <div class="outer-text"${title} style="
                 width: ${layout.width}px;
                 height: ${layout.height}px;
                 font-size: ${fontSize}px;
                 line-height: ${fontSize * 1.2}px;
             ">
-                <div class="line-clamp-1">${layout.firstLine}</div>
-                <div class="line-clamp-1">${layout.secondLine}</div>
+                <div class="line-clamp-1">${escapeHTML(layout.firstLine)}</div>
+                <div class="line-clamp-1">${escapeHTML(layout.secondLine)}</div>
             </div>
         `;
     }
@@ -144,7 +435,7 @@ export class OuterElementManager {
         let layout = {
             type: 'single',
             text: text,
-            width: this.config.text.spacing.base,
+            width: this.measureLabel([text]),
             height: this.config.text.sizes.large.secondary * 1.5
         };
 
@@ -166,19 +457,23 @@ export class OuterElementManager {
                 type: 'double',
                 firstLine: words.slice(0, midpoint).join(' '),
                 secondLine: words.slice(midpoint).join(' '),
-                width: this.config.text.spacing.base,
+                width: 0,
                 height: this.config.text.sizes.large.secondary * 2.5
             };
+            layout.width = this.measureLabel([layout.firstLine, layout.secondLine]);
         }
 
-        // Calculate position
+        // Calculate position, placeLabels() may move it
         const angle = node.x;
-        const radius = node.y + this.config.indicator.outer.radius;
+        const radius = this.parent.display.scaleRadius(node.y) + this.config.indicator.outer.radius;
         const position = this.calculateTextPosition(angle, radius, layout);
 
         return {
             ...layout,
-            ...position
+            ...position,
+            node,
+            angle,
+            radius
         };
     }
 
@@ -187,26 +482,25 @@ export class OuterElementManager {
      * @private
      */
     calculateTextPosition(angle, radius, layout) {
-        // Normalize angle
-        let normalizedAngle = angle;
-        while (normalizedAngle > Math.PI) normalizedAngle -= 2 * Math.PI;
-        while (normalizedAngle < -Math.PI) normalizedAngle += 2 * Math.PI;
+        // Outward direction, shared with nodes and paths
+        const [dx, dy] = project(angle, 1);
         
         // Calculate base position
         const textRadius = radius + this.config.text.spacing.base;
-        let x = textRadius * Math.cos(angle);
-        let y = textRadius * Math.sin(angle);
-        
-        // Adjust based on angle
-        const sideProximity = Math.abs(Math.cos(angle));
-        const dynamicSpacing = this.config.text.spacing.base + 
-            (this.config.text.spacing.side * Math.pow(sideProximity, 1.5));
+        let x = textRadius * dx;
+        let y = textRadius * dy;
         
-        // Center text
-        x -= layout.width / 2;
-        y -= layout.type === 'single' ? 
-            layout.height / 4 : 
-            layout.height / 2;
+        // Anchor the side facing the arc, so labels grow away from it
+        // Full circles keep centred labels, fans would otherwise overlap their straight edges
+        if (this.parent.display.lastDimensions?.arc.isFull !== false) {
+            x -= layout.width / 2;
+            y -= layout.type === 'single' ? 
+                layout.height / 4 : 
+                layout.height / 2;
+        } else {
+            x -= layout.width * (1 - dx) / 2;
+            y -= layout.height * (1 - dy) / 2;
+        }
         
         return { x, y };
     }
@@ -216,52 +510,47 @@ export class OuterElementManager {
      * @private
      */
     calculateIndicatorPosition(node) {
-        const angle = node.x;
-        const radius = node.y;
-        const x = radius * Math.cos(angle);
-        const y = radius * Math.sin(angle);
+        const [x, y] = project(node.x, this.parent.display.scaleRadius(node.y));
         return `translate(${x},${y})`;
     }
 
     /**
      * Sets up interactions
+     * @param {d3.Selection} [indicators] - Indicator groups, defaults to all
+     * @param {d3.Selection} [labels] - Label containers, defaults to all
      * @private
      */
-    setupInteractions() {
+    setupInteractions(indicators = this.indicators, labels = this.labels) {
         // Setup indicator interactions
-        this.indicators
+        indicators
             .on('click', (event, d) => {
                 event.stopPropagation();
-                if (!this.parent.state.isTransitioning) {
-                    this.handleElementClick(d);
-                }
+                this.handleElementClick(d);
             })
             .on('mouseover', (event, d) => {
-                if (!this.parent.state.isTransitioning) {
+                if (!this.parent.state.isTransitioning()) {
                     this.handleElementHover(d, true);
                 }
             })
             .on('mouseout', (event, d) => {
-                if (!this.parent.state.isTransitioning) {
+                if (!this.parent.state.isTransitioning()) {
                     this.handleElementHover(d, false);
                 }
             });
 
         // Setup label interactions
-        this.labels
+        labels
             .on('click', (event, d) => {
                 event.stopPropagation();
-                if (!this.parent.state.isTransitioning) {
-                    this.handleElementClick(d);
-                }
+                this.handleElementClick(d);
             })
             .on('mouseover', (event, d) => {
-                if (!this.parent.state.isTransitioning) {
+                if (!this.parent.state.isTransitioning()) {
                     this.handleElementHover(d, true);
                 }
             })
             .on('mouseout', (event, d) => {
-                if (!this.parent.state.isTransitioning) {
+                if (!this.parent.state.isTransitioning()) {
                     this.handleElementHover(d, false);
                 }
             });
@@ -375,7 +664,7 @@ export class OuterElementManager {
             .duration(1000)
             .attr('r', this.config.indicator.inner.radius)
             .on('end', () => {
-                if (indicator.classed('pulse')) {
+                if (indicator.classed('pulse') || indicator.classed('loading')) {
                     this.startPulseAnimation(indicator);
                 }
             });
@@ -402,6 +691,10 @@ export class OuterElementManager {
             .filter(d => d === node);
 
         if (isEnter) {
+            // Fetch children early so they are ready on selection
+            this.parent.lazy.prefetch(node);
+            this.parent.preload.hoverStart(node);
+
             indicator
                 .transition()
                 .duration(200)
@@ -412,6 +705,8 @@ export class OuterElementManager {
                 .duration(200)
                 .style('transform', 'scale(1.1)');
         } else {
+            this.parent.preload.hoverEnd(node);
+
             indicator
                 .transition()
                 .duration(200)
@@ -429,15 +724,31 @@ export class OuterElementManager {
      * @param {Object} data - New data
      */
     update(data) {
-        if (!data) return;
+        // Sizes or settings changed, indicators move and labels are measured and placed again
+        if (!data) {
+            this.indicators?.attr('transform', d => this.calculateIndicatorPosition(d));
+            if (this.labels) this.renderLabels(this.labels);
+            return;
+        }
 
         const outerNodes = data.descendants().filter(d => d.depth === 2);
 
         // Update indicators
-        this.updateIndicators(outerNodes);
+        const indicatorEnter = this.updateIndicators(outerNodes);
 
         // Update labels
-        this.updateLabels(outerNodes);
+        const labelEnter = this.updateLabels(outerNodes);
+
+        // Setup interactions for new elements
+        this.setupInteractions(indicatorEnter, labelEnter);
+
+        if (!indicatorEnter.empty() || !labelEnter.empty()) {
+            this.parent.plugins.call('nodeRendered', {
+                selection: indicatorEnter,
+                labels: labelEnter,
+                type: 'outer'
+            });
+        }
 
         // Update selection state if needed
         const selectedNode = this.parent.state.getSelectedNode();
@@ -446,6 +757,91 @@ export class OuterElementManager {
         }
     }
 
+    /**
+     * Joins indicators to new outer nodes
+     * @private
+     * @returns {d3.Selection} Entered indicator groups
+     */
+    updateIndicators(nodes) {
+        const indicators = this.outerGroup
+            .selectAll('g.indicator-group')
+            .data(this.getIndicatorNodes(nodes), d => d.data.id);
+
+        // New indicators grow out of their parent's position
+        const indicatorEnter = indicators.enter()
+            .append('g')
+            .attr('class', 'indicator-group')
+            .attr('transform', d => this.calculateIndicatorPosition(d.parent))
+            .style('opacity', 0);
+
+        this.createIndicatorShapes(indicatorEnter);
+
+        indicators.exit()
+            .transition()
+            .duration(this.config.animation.duration / 2)
+            .style('opacity', 0)
+            .remove();
+
+        this.indicators = indicatorEnter.merge(indicators);
+        this.indicators
+            .transition()
+            .duration(this.config.animation.duration)
+            .attr('transform', d => this.calculateIndicatorPosition(d))
+            .style('opacity', 1);
+
+        return indicatorEnter;
+    }
+
+    /**
+     * Joins labels to new outer nodes
+     * @private
+     * @returns {d3.Selection} Entered label containers
+     */
+    updateLabels(nodes) {
+        const labels = this.outerGroup
+            .selectAll('.outer-text-container')
+            .data(nodes, d => d.data.id);
+
+        const labelEnter = labels.enter()
+            .append(this.getLabelTag())
+            .attr('class', 'outer-text-container')
+            .style('opacity', 0);
+
+        labels.exit()
+            .transition()
+            .duration(this.config.animation.duration / 2)
+            .style('opacity', 0)
+            .remove();
+
+        this.labels = labelEnter.merge(labels);
+        this.renderLabels(this.labels);
+
+        labelEnter
+            .transition('enter')
+            .duration(this.config.animation.duration)
+            .style('opacity', 1);
+
+        return labelEnter;
+    }
+
+    /**
+     * Shows or hides the loading pulse on an indicator
+     * @param {string|number} id - Node ID
+     * @param {boolean} isLoading - Loading state
+     */
+    setLoading(id, isLoading) {
+        if (!this.indicators) return;
+
+        const indicator = this.indicators
+            .filter(d => d.data.id === id)
+            .select('.outer-indicator')
+            .classed('loading', isLoading);
+
+        if (isLoading && !indicator.empty()) {
+            this.startPulseAnimation(indicator);
+        }
+    }
+
     /**
      * Cleanup
      */
@@ -456,8 +852,12 @@ export class OuterElementManager {
         if (this.labels) {
             this.labels.remove();
         }
+        if (this.leaderGroup) {
+            this.leaderGroup.remove();
+        }
         this.indicators = null;
         this.labels = null;
+        this.leaderGroup = null;
         this.activeTransitions.clear();
     }
 }
\ No newline at end of file
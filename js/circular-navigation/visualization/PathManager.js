@@ -3,12 +3,42 @@
  * Handles creation, updating, and styling of all paths/links between nodes
  */
 
+import { project } from '../utils/calculations';
+
 export class PathManager {
     constructor(parent) {
         this.parent = parent;
         this.config = parent.config;
         this.links = null;
         this.activeTransitions = new Set();
+
+        // Sunburst segments, reads the partition bounds from processHierarchicalData
+        this.arc = d3.arc()
+            .startAngle(d => d.x0)
+            .endAngle(d => d.x1)
+            .padAngle(() => this.config.sunburst.padAngle)
+            .innerRadius(d => this.parent.display.scaleRadius(d.y0))
+            .outerRadius(d => this.parent.display.scaleRadius(
+                Math.max(d.y0, d.y1 - this.config.sunburst.ringPadding)
+            ));
+    }
+
+    /**
+     * Whether links are drawn as sunburst segments
+     * Each link is then drawn as the arc of its target, so link states carry over
+     * @returns {boolean}
+     */
+    isSunburst() {
+        return this.parent.viz.isSunburst();
+    }
+
+    /**
+     * Gets the links of the rendered depths
+     * Deeper nodes are reached by drilling, segments or lines to them would be dead ends
+     * @private
+     */
+    getLinks(data) {
+        return data.links().filter(link => link.target.depth <= 2);
     }
 
     /**
@@ -24,21 +54,59 @@ export class PathManager {
             .append('g')
             .attr('class', 'links')
             .selectAll('path.link')
-            .data(data.links())
+            .data(this.getLinks(data), d => this.getLinkKey(d))
             .join('path')
-            .attr('class', d => `link depth-${d.source.depth}-${d.target.depth}`)
+            .call(selection => this.applyBaseStyle(selection))
             .attr('d', d => this.generateLinkPath(d))
-            .style('fill', 'none')
-            .style('stroke', this.config.colors.path.default)
-            .style('stroke-width', this.config.node.linkWidth)
             .style('opacity', d => this.getInitialOpacity(d));
     }
 
+    /**
+     * Applies layout-dependent classes, paint and interactions
+     * @private
+     */
+    applyBaseStyle(selection) {
+        if (!this.isSunburst()) {
+            selection
+                .attr('class', d => `link depth-${d.source.depth}-${d.target.depth}`)
+                .style('fill', 'none')
+                .style('stroke', this.config.colors.path.default)
+                .style('stroke-width', this.config.node.linkWidth);
+            return;
+        }
+
+        // Segments select their node like the node itself would
+        selection
+            .attr('class', d => `link segment depth-${d.target.depth}-segment`)
+            .style('fill', this.config.colors.path.default)
+            .style('stroke', 'none')
+            .style('cursor', 'pointer')
+            .on('click', (event, d) => {
+                event.stopPropagation();
+                this.parent.container.dispatchEvent(new CustomEvent('node:click', {
+                    detail: { node: d.target },
+                    bubbles: true
+                }));
+            });
+    }
+
+    /**
+     * Gets a stable key for a link
+     * @private
+     */
+    getLinkKey(d) {
+        return `${d.source.data.id}-${d.target.data.id}`;
+    }
+
     /**
      * Generates SVG path for a link
      * @private
      */
     generateLinkPath(d) {
+        if (this.isSunburst()) {
+            return this.arc(d.target);
+        }
+
         if (d.source.depth === 0) {
             // Straight line from center
             const start = [0, 0];
@@ -67,12 +135,7 @@ export class PathManager {
      * @private
      */
     calculateEndPoint(node) {
-        const angle = node.x - Math.PI / 2;
-        const radius = node.y;
-        return [
-            radius * Math.cos(angle),
-            radius * Math.sin(angle)
-        ];
+        return project(node.x, this.parent.display.scaleRadius(node.y));
     }
 
     /**
@@ -80,6 +143,7 @@ export class PathManager {
      * @private
      */
     getInitialOpacity(link) {
+        if (this.isSunburst()) return 1;
         if (link.source.depth === 0) return 1;
         if (link.source.depth === 1 && link.target.depth === 2) return 0;
         return 1;
@@ -90,6 +154,18 @@ export class PathManager {
      * @param {Object} selectedNode - Currently selected node
      */
     updatePathStates(selectedNode) {
+        // Segments are filled, links are stroked
+        if (this.isSunburst()) {
+            const transition = this.links
+                .transition()
+                .duration(this.config.animation.duration)
+                .style('fill', d => this.getPathColor(d, selectedNode))
+                .style('opacity', d => this.getPathOpacity(d, selectedNode));
+
+            this.parent.viz.trackTransition(transition);
+            return;
+        }
+
         const transition = this.links
             .transition()
             .duration(this.config.animation.duration)
@@ -173,6 +249,12 @@ export class PathManager {
     }
 
     getPathOpacity(link, selectedNode) {
+        // Every segment stays visible, off-path ones are dimmed
+        if (this.isSunburst()) {
+            if (!selectedNode || this.isActivePath(link, selectedNode)) return 1;
+            return this.config.sunburst.dimmedOpacity;
+        }
+
         // Handle level-2 links visibility
         if (link.source.depth === 1 && link.target.depth === 2) {
             if (selectedNode?.depth === 0) return 1;
@@ -192,37 +274,47 @@ export class PathManager {
      * @param {Object} data - New data
      */
     update(data) {
-        if (!data) return;
+        // Resized, redraw the same links at the new radius
+        if (!data) {
+            this.links?.attr('d', d => this.generateLinkPath(d));
+            return;
+        }
 
         // Update data binding
-        this.links = this.parent.viz.zoomContainer
+        const links = this.parent.viz.zoomContainer
             .select('g.links')
             .selectAll('path.link')
-            .data(data.links());
+            .data(this.getLinks(data), d => this.getLinkKey(d));
 
-        // Handle enter/exit
-        const enterLinks = this.links.enter()
+        // New links start collapsed at their source
+        const enterLinks = links.enter()
             .append('path')
-            .attr('class', d => `link depth-${d.source.depth}-${d.target.depth}`)
-            .attr('d', d => this.generateLinkPath(d))
+            .call(selection => this.applyBaseStyle(selection))
+            .attr('d', d => this.generateLinkPath({ source: d.source, target: d.source }))
             .style('opacity', 0);
 
         // Remove old links
-        this.links.exit()
+        links.exit()
             .transition()
             .duration(this.config.animation.duration / 2)
             .style('opacity', 0)
             .remove();
 
         // Merge and update all links
-        this.links = enterLinks.merge(this.links)
-            .transition()
+        this.links = enterLinks.merge(links);
+
+        const selectedNode = this.parent.state.getSelectedNode();
+        const transition = this.links
+            .transition('layout')
             .duration(this.config.animation.duration)
-            .attr('d', d => this.generateLinkPath(d))
-            .style('opacity', 1);
+            .attr('d', d => this.generateLinkPath(d));
+
+        if (!selectedNode) {
+            transition.style('opacity', d => this.getInitialOpacity(d));
+        }
+        this.parent.viz.trackTransition(transition, 'layout');
 
         // Update states if there's a selected node
-        const selectedNode = this.parent.state.getSelectedNode();
         if (selectedNode) {
             this.updatePathStates(selectedNode);
         }
@@ -16,8 +16,8 @@ export class VisualizationManager {
         this.svg = null;
         this.zoomContainer = null;
         
-        // Track active transitions
-        this.activeTransitions = new Set();
+        // Active transitions mapped to their name, unnamed ones map to null
+        this.activeTransitions = new Map();
         this.isTransitioning = false;
     }
 
@@ -29,6 +29,10 @@ export class VisualizationManager {
         try {
             // Create SVG structure
             this.createSVG();
+            await this.parent.plugins.call('beforeRender', {
+                data: this.parent.state.getData(),
+                svg: this.svg
+            });
             
             // Initialize sub-components
             await Promise.all([
@@ -94,7 +98,7 @@ export class VisualizationManager {
 
             // Process new data if provided
             if (data) {
-                data = processHierarchicalData(data);
+                data = processHierarchicalData(data, this.config);
                 await this.parent.state.updateState({ data });
             }
 
@@ -122,22 +126,69 @@ export class VisualizationManager {
         }
     }
 
+    /**
+     * Re-renders all components from the current state data
+     * Used when the hierarchy root changes and nothing can be transitioned
+     * @returns {Promise<void>}
+     */
+    async rebuild() {
+        this.cancelTransitions();
+        this.zoomContainer.selectAll('*').remove();
+
+        // Layout changes may have moved the arc
+        this.updateViewBox(this.parent.display.calculateDimensions());
+        await this.parent.plugins.call('beforeRender', {
+            data: this.parent.state.getData(),
+            svg: this.svg
+        });
+
+        await Promise.all([
+            this.parent.nodes.create(),
+            this.parent.paths.create(),
+            this.parent.outer.create()
+        ]);
+    }
+
+    /**
+     * Whether the hierarchy is drawn as sunburst segments
+     * Segments carry the labels, so nodes and outer indicators render differently
+     * @returns {boolean}
+     */
+    isSunburst() {
+        return this.config.layout === 'sunburst';
+    }
+
     /**
      * Updates SVG viewBox
+     * Partial arcs get a box tight around the arc and its labels
      * @private
      */
     updateViewBox(dimensions) {
-        const { width, height } = dimensions;
-        
         this.svg
             .transition()
             .duration(this.config.animation.duration)
-            .attr('viewBox', [
-                -width / 2,
-                -height / 2,
-                width,
-                height
-            ]);
+            .attr('viewBox', this.calculateViewBox(dimensions));
+    }
+
+    /**
+     * Calculates the viewBox for the current dimensions
+     * @param {Object} dimensions - Dimensions from DisplayManager
+     * @returns {Array} [x, y, width, height]
+     */
+    calculateViewBox(dimensions) {
+        const { width, height, radius, arc } = dimensions;
+
+        if (arc.isFull) {
+            return [-width / 2, -height / 2, width, height];
+        }
+
+        const { x0, y0, x1, y1 } = arc.bounds;
+        return [
+            x0 * radius - arc.margin,
+            y0 * radius - arc.margin,
+            (x1 - x0) * radius + arc.margin * 2,
+            (y1 - y0) * radius + arc.margin * 2
+        ];
     }
 
     /**
@@ -177,13 +228,12 @@ export class VisualizationManager {
 
     /**
      * Cancels active transitions
-     * @private
+     * Interrupted transitions settle immediately, so awaiting callers resume
      */
     cancelTransitions() {
-        this.activeTransitions.forEach(transition => {
-            if (transition.selection) {
-                transition.selection.interrupt();
-            }
+        // interrupt() without a name would only reach unnamed transitions
+        this.activeTransitions.forEach((name, transition) => {
+            transition.selection().interrupt(name);
         });
         this.activeTransitions.clear();
     }
@@ -191,10 +241,11 @@ export class VisualizationManager {
     /**
      * Adds a transition to tracking
      * @param {d3.Transition} transition - D3 transition
+     * @param {string} [name] - Name the transition was created with
      */
-    trackTransition(transition) {
-        this.activeTransitions.add(transition);
-        transition.on('end', () => {
+    trackTransition(transition, name = null) {
+        this.activeTransitions.set(transition, name);
+        transition.on('end.track interrupt.track', () => {
             this.activeTransitions.delete(transition);
         });
     }
@@ -0,0 +1,263 @@
+/**
+ * Zoom Manager
+ * Handles d3.zoom pan, pinch and wheel behaviour and programmatic zoom transitions
+ */
+
+import { project } from '../utils/calculations';
+
+export class ZoomManager {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+
+        // D3 selections
+        this.svg = null;
+        this.zoomContainer = null;
+
+        // Zoom behaviour and current transform
+        this.zoomBehavior = null;
+        this.transform = d3.zoomIdentity;
+
+        // Bind methods
+        this.handleZoom = this.handleZoom.bind(this);
+        this.handleZoomEnd = this.handleZoomEnd.bind(this);
+        this.handleDoubleTap = this.handleDoubleTap.bind(this);
+        this.handleZoomLevelChange = this.handleZoomLevelChange.bind(this);
+    }
+
+    /**
+     * Attaches zoom behaviour to the SVG
+     * @param {d3.Selection} svg - Root SVG selection
+     * @param {d3.Selection} zoomContainer - Group receiving the transform
+     */
+    init(svg, zoomContainer) {
+        this.svg = svg;
+        this.zoomContainer = zoomContainer;
+
+        // d3.zoom handles wheel, drag-pan and pinch out of the box
+        this.zoomBehavior = d3.zoom()
+            .scaleExtent([this.config.zoom.min, this.config.zoom.max])
+            .clickDistance(4)
+            .on('zoom', this.handleZoom)
+            .on('end', this.handleZoomEnd);
+
+        this.svg
+            .style('touch-action', 'none')
+            .call(this.zoomBehavior)
+            // d3 routes double-tap through the dblclick listener as well
+            .on('dblclick.zoom', this.handleDoubleTap);
+
+        // Keep zoom in sync with state changes made elsewhere
+        this.parent.state.on('zoomLevelChange', this.handleZoomLevelChange);
+
+        // Apply any zoom level restored into state before init
+        const zoomLevel = this.parent.state.state.zoomLevel;
+        if (zoomLevel && zoomLevel !== 1) {
+            this.scaleTo(zoomLevel, 0);
+        }
+    }
+
+    /**
+     * Applies the zoom transform to the container
+     * @private
+     */
+    handleZoom(event) {
+        this.transform = event.transform;
+        this.zoomContainer.attr('transform', event.transform);
+
+        // Cheap indicator update while the gesture is running
+        this.parent.controls.syncZoom(event.transform.k);
+    }
+
+    /**
+     * Commits the final zoom level to state
+     * @private
+     */
+    handleZoomEnd(event) {
+        const zoomLevel = event.transform.k;
+        if (zoomLevel !== this.parent.state.state.zoomLevel) {
+            this.parent.state.updateState({ zoomLevel });
+        }
+    }
+
+    /**
+     * Handles double-click and double-tap zooming
+     * @private
+     */
+    handleDoubleTap(event) {
+        event.preventDefault();
+
+        // Touch double-taps arrive as TouchEvents without clientX, as in d3-zoom's dblclicked
+        const point = d3.pointer(event.changedTouches ? event.changedTouches[0] : event, this.svg.node());
+        const { k } = this.transform;
+
+        // Double tap at max zoom resets, shift zooms out
+        if (k >= this.config.zoom.max) {
+            this.resetZoom();
+            return;
+        }
+
+        const factor = this.config.zoom.doubleTapFactor;
+        this.scaleTo(event.shiftKey ? k / factor : k * factor, null, point);
+    }
+
+    /**
+     * Handles zoom level changes made through state
+     * @private
+     */
+    handleZoomLevelChange({ newValue }) {
+        if (newValue && Math.abs(newValue - this.transform.k) > 0.001) {
+            this.scaleTo(newValue);
+        }
+    }
+
+    /**
+     * Scales to a zoom level around a point
+     * @param {number} level - Target zoom level
+     * @param {number} [duration] - Transition duration in ms
+     * @param {Array} [point] - [x, y] point to keep fixed, defaults to centre
+     * @returns {Promise<void>}
+     */
+    scaleTo(level, duration = null, point = null) {
+        if (!this.zoomBehavior) return Promise.resolve();
+
+        const k = this.clampScale(level);
+        const selection = this.createTransition(duration);
+
+        if (point) {
+            this.zoomBehavior.scaleTo(selection, k, point);
+        } else {
+            this.zoomBehavior.scaleTo(selection, k);
+        }
+
+        return this.waitForTransition(selection);
+    }
+
+    /**
+     * Zooms and centres on a node
+     * @param {Object} node - D3 hierarchy node
+     * @param {number} [scale] - Target zoom level, defaults to config.zoom.focusScale
+     * @param {number} [duration] - Transition duration in ms
+     * @returns {Promise<void>}
+     */
+    zoomToNode(node, scale = null, duration = null) {
+        if (!node || node.depth === 0) {
+            return this.resetZoom(duration);
+        }
+
+        const k = this.clampScale(scale ?? this.config.zoom.focusScale);
+        const [x, y] = project(node.x, this.parent.display.scaleRadius(node.y));
+
+        return this.transformTo(
+            d3.zoomIdentity.translate(-x * k, -y * k).scale(k),
+            duration
+        );
+    }
+
+    /**
+     * Zooms to fit the full visualization in the viewport
+     * @returns {Promise<void>}
+     */
+    zoomToFit() {
+        if (!this.zoomContainer) return Promise.resolve();
+
+        const bounds = this.zoomContainer.node().getBBox();
+        const { width, height } = this.parent.display.lastDimensions;
+        if (!bounds.width || !bounds.height) {
+            return this.resetZoom();
+        }
+
+        const k = this.clampScale(
+            Math.min(width / bounds.width, height / bounds.height) *
+            this.config.zoom.fitPadding
+        );
+        const cx = bounds.x + bounds.width / 2;
+        const cy = bounds.y + bounds.height / 2;
+
+        return this.transformTo(
+            d3.zoomIdentity.translate(-cx * k, -cy * k).scale(k)
+        );
+    }
+
+    /**
+     * Resets zoom to the identity transform
+     * @param {number} [duration] - Transition duration in ms
+     * @returns {Promise<void>}
+     */
+    resetZoom(duration = null) {
+        return this.transformTo(d3.zoomIdentity, duration);
+    }
+
+    /**
+     * Animates to a transform
+     * @param {d3.ZoomTransform} transform - Target transform
+     * @param {number} [duration] - Transition duration in ms
+     * @returns {Promise<void>}
+     */
+    transformTo(transform, duration = null) {
+        if (!this.zoomBehavior) return Promise.resolve();
+
+        const selection = this.createTransition(duration);
+        this.zoomBehavior.transform(selection, transform);
+        return this.waitForTransition(selection);
+    }
+
+    /**
+     * Creates a tracked transition on the SVG
+     * @private
+     */
+    createTransition(duration) {
+        const transition = this.svg
+            .transition('zoom')
+            .duration(duration ?? this.config.zoom.transitionDuration);
+
+        this.parent.viz.trackTransition(transition, 'zoom');
+        return transition;
+    }
+
+    /**
+     * Resolves once a transition ends or is interrupted
+     * @private
+     */
+    waitForTransition(transition) {
+        return transition.end().catch(() => {});
+    }
+
+    /**
+     * Clamps a scale to the configured extent
+     * @private
+     */
+    clampScale(k) {
+        return Math.max(this.config.zoom.min, Math.min(this.config.zoom.max, k));
+    }
+
+    /**
+     * Gets current zoom level
+     */
+    getZoomLevel() {
+        return this.transform.k;
+    }
+
+    /**
+     * Gets current zoom transform
+     */
+    getTransform() {
+        return this.transform;
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        if (this.svg) {
+            this.svg.interrupt('zoom');
+            this.svg.on('.zoom', null);
+        }
+        this.parent.state.off('zoomLevelChange', this.handleZoomLevelChange);
+
+        this.svg = null;
+        this.zoomContainer = null;
+        this.zoomBehavior = null;
+        this.transform = d3.zoomIdentity;
+    }
+}
\ No newline at end of file